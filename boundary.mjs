@@ -1,18 +1,124 @@
 // Better to have these as constants for minification
 const BEFORE_OPEN = 0b1,
 	AFTER_OPEN = 0b10,
+	TEXT_OFFSET = 0b100,
 	BEFORE_CLOSE = 0b1000,
 	AFTER_CLOSE = 0b10000,
-	FILTER_ALL = 0b11011,
+	FILTER_ALL = 0b11111,
 	FILTER_OPEN = 0b11,
 	FILTER_CLOSE = 0b11000,
 	FILTER_BEFORE = 0b1001,
 	FILTER_AFTER = 0b10010,
-	FILTER_INSIDE = 0b1010,
+	FILTER_INSIDE = 0b1110,
 	FILTER_OUTSIDE = 0b10001,
 	POSITION_BEFORE = 0b0,
 	POSITION_INSIDE = 0b100,
-	POSITION_AFTER = 0b100000;
+	POSITION_AFTER = 0b100000,
+	CONTAINED = 0b1000000,
+	PARTIAL_START = 0b10000000,
+	PARTIAL_END = 0b100000000;
+// NodeFilter values; the NodeFilter global may not be available
+const NODE_ACCEPT = 1,
+	NODE_REJECT = 2,
+	NODE_SKIP = 3,
+	SHOW_ALL = 0xFFFFFFFF;
+// Node constants; the Node global may not be available, or from a different realm
+const TYPE_ELEMENT = 1,
+	TYPE_TEXT = 3,
+	TYPE_CDATA_SECTION = 4,
+	TYPE_PROCESSING_INSTRUCTION = 7,
+	TYPE_COMMENT = 8,
+	TYPE_DOCUMENT = 9,
+	TYPE_DOCUMENT_TYPE = 10,
+	TYPE_DOCUMENT_FRAGMENT = 11,
+	DOCUMENT_POSITION_DISCONNECTED = 0x1,
+	DOCUMENT_POSITION_PRECEDING = 0x2,
+	DOCUMENT_POSITION_FOLLOWING = 0x4,
+	DOCUMENT_POSITION_CONTAINS = 0x8,
+	DOCUMENT_POSITION_CONTAINED_BY = 0x10,
+	DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC = 0x20;
+
+/** Options for filtered traversal, used by {@link Boundary#next|next},
+ * {@link Boundary#previous|previous}, {@link Boundary#nextNodes|nextNodes},
+ * {@link Boundary#previousNodes|previousNodes} and {@link BoundaryWalker}. The node filtering
+ * works like `TreeWalker`: a node that is rejected or skipped does not have any of its
+ * boundaries visited, and a rejected node's descendants are skipped as well.
+ * @typedef {Object} TraversalOptions
+ * @property {number} [sides=FILTER_ALL] a bitmask of {@link BoundaryFlags} giving which sides
+ * 	to stop at, e.g. {@link BoundaryFlags.FILTER_OPEN|FILTER_OPEN}; not used for the
+ * 	`nextNodes`/`previousNodes` generators
+ * @property {number} [whatToShow=NodeFilter.SHOW_ALL] a bitmask of `NodeFilter.SHOW_*`
+ * 	constants, giving which node types to visit
+ * @property {?(function|Object)} [filter=null] a function, or an object with an `acceptNode`
+ * 	method, as with `NodeFilter`. It is passed the node and should return one of
+ * 	`NodeFilter.FILTER_ACCEPT`, `NodeFilter.FILTER_SKIP`, or `NodeFilter.FILTER_REJECT` to skip
+ * 	the node and its descendants. The filter may be called more than once per node.
+ * @property {?Node} [root=null] limit traversal to the boundaries of this node and its
+ * 	descendants; traversal ends when leaving the root
+ * @property {boolean} [composed] traverse the composed (flat) tree, stepping into open shadow
+ * 	roots and through slots; defaults to the boundary's {@link Boundary#composed|composed} mode
+ */
+
+/** Options for text unit movement, used by {@link Boundary#move|move} and
+ * {@link BoundaryRange#expandTo|expandTo}. The text is taken from the `Text` nodes inside the
+ * root, joined together so that inline elements are crossed transparently.
+ * @typedef {Object} TextUnitOptions
+ * @property {boolean|function} [blocks=false] stop at block-level elements and `<br>`, so that
+ * 	movement does not leave the line containing the text; `true` uses a default list of HTML
+ * 	block elements, or pass a function which is given an `Element` and returns true if it is a
+ * 	block
+ * @property {?Node} [root=null] only consider text inside this node; defaults to the root node
+ * 	of the boundary. With `blocks`, only the text of the nearest enclosing block is gathered
+ * 	where possible; otherwise all the text inside `root` is, so set it to limit the work done in
+ * 	a large document
+ * @property {string|string[]} [locale] locale to use for `Intl.Segmenter`
+ */
+
+/** A problem found by {@link Boundary#validate} or {@link BoundaryRange#validate}
+ * @typedef {Object} BoundaryDiagnostic
+ * @property {string} code identifies the problem; one of:
+ * - `"null"`: the boundary's node is null
+ * - `"detached"`: the node is not connected to a document
+ * - `"invalid-side"`: the side is not valid for the node's type, e.g. `AFTER_OPEN` of a `Text`
+ *   node or `TEXT_OFFSET` of an element
+ * - `"void-element"`: the boundary is inside an HTML void element, like `<img>`
+ * - `"offset-out-of-range"`: a `TEXT_OFFSET` is past the end of the node's data
+ * - `"no-parent"`: the boundary is outside a node with no parent, so can't be converted to a
+ *   `Range` anchor
+ * - `"cross-document"`: a range's boundaries are in different documents
+ * - `"disconnected"`: a range's boundaries are in different trees, so cannot be ordered
+ * - `"reversed"`: a range's start comes after its end
+ * @property {string} severity `"error"` if the state is invalid, or `"warning"` if it is valid
+ * 	but likely a mistake or not supported by some methods
+ * @property {string} message a description of the problem
+ * @property {string} [boundary] for {@link BoundaryRange#validate}, `"start"` or `"end"` if the
+ * 	problem is with one of the range's boundaries
+ */
+
+// Tree navigation, for either the regular DOM tree or the composed (flat) tree
+const LIGHT_TREE = {
+	first: n => n.firstChild,
+	last: n => n.lastChild,
+	next: n => n.nextSibling,
+	previous: n => n.previousSibling,
+	parent: n => n.parentNode,
+	children: n => n.childNodes,
+	position: (a, b) => a.compareDocumentPosition(b),
+	contains: (a, b) => a.contains(b)
+};
+const FLAT_TREE = {
+	first: n => flat_children(n)[0] ?? null,
+	last: n => {
+		const c = flat_children(n);
+		return c[c.length-1] ?? null;
+	},
+	next: n => flat_sibling(n, 1),
+	previous: n => flat_sibling(n, -1),
+	parent: flat_parent,
+	children: flat_children,
+	position: flat_position,
+	contains: (a, b) => a === b || !!(flat_position(a, b) & DOCUMENT_POSITION_CONTAINED_BY)
+};
 
 /** Boundary bit flags. Use these to define and work with a boundary's side. The primary bit flags
  * are ordered by their DOM position, so can be used for comparisions. E.g. `BEFORE_OPEN < AFTER_OPEN`.
@@ -34,6 +140,12 @@ const Flags = {
 	BEFORE_OPEN,
 	/** Denotes a position after the opening boundary of a node (inside the node) */
 	AFTER_OPEN,
+	/** Denotes a position inside a CharacterData node, at the character offset given by
+	 * {@link Boundary#offset}; `AFTER_OPEN < TEXT_OFFSET < BEFORE_CLOSE`. This has the same value
+	 * as {@link BoundaryFlags.POSITION_INSIDE|POSITION_INSIDE}, so don't compare a side with the
+	 * result of a comparison.
+	 */
+	TEXT_OFFSET,
 	/** Denotes a position before the closing boundary of a node (inside the node) */
 	BEFORE_CLOSE,
 	/** Denotes a position after the closing boundary of a node (outside the node) */
@@ -61,7 +173,15 @@ const Flags = {
 	/** Used to indicate a Boundary that is inside a node; `AFTER_OPEN > POSITION_INSIDE > BEFORE_CLOSE` */
 	POSITION_INSIDE,
 	/** Used to indicate a Boundary that is after a node; `POSITION_AFTER > AFTER_CLOSE` */
-	POSITION_AFTER
+	POSITION_AFTER,
+
+	// for containment of a node inside a range
+	/** Used to indicate a node that is fully contained inside a range */
+	CONTAINED,
+	/** Used to indicate a node that is partially contained in a range, containing the range's start */
+	PARTIAL_START,
+	/** Used to indicate a node that is partially contained in a range, containing the range's end */
+	PARTIAL_END
 };
 
 /**
@@ -82,40 +202,102 @@ const Flags = {
  * 
  * These are bit flags, so can use bitmasks for filtering. The flags are ordered numerically by
  * their DOM position, so you can do comparisons, e.g. `BEFORE_OPEN < AFTER_OPEN`.
+ * 
+ * CharacterData nodes (e.g. `Text`) have an additional side,
+ * {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}, which sits between the inner bounds and gives a
+ * character {@link Boundary#offset|offset} into the node's data. For example, with `"abc"`:
+ * 
+ * ```html
+ * A<#text>B a X b c C</#text>D
+ * ```
+ * 
+ * X would be `TEXT_OFFSET` with an offset of `1`. Unlike the other sides, a text offset *will* be
+ * invalidated if the node's data is modified; offsets past the end of the data are clamped to the
+ * node's length when used.
  */
 class Boundary{
 	#node;
 	#side;
+	#offset = 0;
+	#composed = false;
+	#strict = null;
+	/** DOM implementation to get `StaticRange` and `MutationObserver` from, for nodes whose
+	 * document has no `defaultView`. For example, a `window` from jsdom or linkedom, when those
+	 * are not installed as globals. If not set, the current global scope is used.
+	 * @type {?Object}
+	 */
+	static dom = null;
+	/** Opt in to strict mode, for both {@link Boundary} and {@link BoundaryRange}. Normally,
+	 * methods given a bad state do their best to continue; in strict mode they throw a
+	 * descriptive error instead. This is the default for every boundary; use the
+	 * {@link Boundary#strict|strict} property to override it for individual boundaries:
+	 * - setting a boundary, or its `node`, `side` or `offset`, throws if it would have an
+	 *   `"invalid-side"` diagnostic or any error diagnostic other than `"null"`
+	 *   (see {@link Boundary#validate|validate}); set these together with
+	 *   {@link Boundary#set|set} to avoid intermediate states
+	 * - traversing from a null boundary throws
+	 * - converting a reversed range with {@link BoundaryRange#toRange|toRange} or
+	 *   {@link BoundaryRange#toStaticRange|toStaticRange} throws, rather than collapsing it
+	 * @type {boolean}
+	 */
+	static strict = false;
 	/** validate side flag
 	 * @private
 	 */
 	static #valid_side(b){
-		return b == BEFORE_OPEN || b == AFTER_OPEN ||
+		return b == BEFORE_OPEN || b == AFTER_OPEN || b == TEXT_OFFSET ||
 			b == BEFORE_CLOSE || b == AFTER_CLOSE;
 	}
+	/** text offset clamped to the current length of the node's data
+	 * @private
+	 */
+	#clamped_offset(){
+		return Math.min(this.#offset, this.#node.length);
+	}
+	/** navigation functions for the tree we're traversing
+	 * @private
+	 */
+	get #tree(){
+		return this.#composed ? FLAT_TREE : LIGHT_TREE;
+	}
 	/** set node and side together
 	 * @private
 	 */
-	#set(node, side){
+	#set(node, side, offset=0){
 		this.#node = node;
 		this.#side = side;
+		this.#offset = offset;
 	}
 
 	/** Create a new boundary; takes up to three arguments:
 	 * @param args - One of three formats:
-	 * 1. Pass a `Boundary` to copy
+	 * 1. Pass a `Boundary` to copy; this includes its {@link Boundary#composed|composed} and
+	 *    {@link Boundary#strict|strict} modes
 	 * 2. Pass a `Node` and one of {@link BoundaryFlags.BEFORE_OPEN|BEFORE_OPEN}, {@link BoundaryFlags.AFTER_OPEN|AFTER_OPEN},
-	 *    {@link BoundaryFlags.BEFORE_CLOSE|BEFORE_CLOSE}, or {@link BoundaryFlags.AFTER_CLOSE|AFTER_CLOSE} flag
+	 *    {@link BoundaryFlags.BEFORE_CLOSE|BEFORE_CLOSE}, or {@link BoundaryFlags.AFTER_CLOSE|AFTER_CLOSE} flag;
+	 *    {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} is also accepted for a CharacterData node,
+	 *    giving an offset of zero
 	 * 3. In the manner of the builtin Range interface, pass an anchor `Node`, an offset into that
 	 *    anchor, and one of {@link BoundaryFlags.POSITION_BEFORE|POSITION_BEFORE} or {@link BoundaryFlags.POSITION_AFTER|POSITION_AFTER} flag, indicating which side of
 	 *    the anchor you wish to get the boundary for. Since the Range interface uses text offsets
-	 * 	  for CharacterData nodes, if the first arg is CharacterData the offset will be ignored,
-	 * 	  instead setting the boundary to be outside. If you want to place the boundary inside a
-	 *    CharacterData node, set so directly using syntax #2.
+	 * 	  for CharacterData nodes, if the first arg is CharacterData the boundary will be
+	 *    {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} with the given character offset, and the
+	 *    position flag is ignored.
 	 */
 	constructor(...args){
 		this.set(...args);
 	}
+	/** throw in strict mode if in an invalid state
+	 * @private
+	 */
+	#strict_check(){
+		if (!this.strict)
+			return;
+		const d = this.validate().find(d =>
+			d.code == "invalid-side" || d.severity == "error" && d.code != "null");
+		if (d)
+			throw Error(d.message);
+	}
 	/** Update boundary values. Same arguments as the [constructor]{@link Boundary#Boundary} */
 	set(...args){
 		switch (args.length){
@@ -123,47 +305,50 @@ class Boundary{
 				const o = args[0];
 				if (!(o instanceof Boundary))
 					throw TypeError("expected Boundary for first arg");
-				this.#set(o.#node, o.#side);
+				this.#set(o.#node, o.#side, o.#offset);
+				this.#composed = o.#composed;
+				this.#strict = o.#strict;
 				break;
 			case 2: {
 				const [node, side] = args;
-				if (!(node instanceof Node || node === null))
+				if (!(is_node(node) || node === null))
 					throw TypeError("expected Node or null for first arg");
 				if (!Boundary.#valid_side(side))
 					throw TypeError("expected a side bit flag for second arg")
+				if (side == TEXT_OFFSET && !is_character_data(node))
+					throw TypeError("expected CharacterData for first arg with TEXT_OFFSET");
 				this.#set(node, side);
 				break;
 			}
 			case 3: {
 				let [node, offset, position] = args;
-				if (!(node instanceof Node))
+				if (!is_node(node))
 					throw TypeError("expected Node for first arg");
 				if (!Number.isInteger(offset))
 					throw TypeError("expected integer for second arg")
 				if (position != POSITION_BEFORE && position != POSITION_AFTER)
 					throw TypeError("expected a position bit flag for third arg")
-				const istxt = node instanceof CharacterData;
-				if (istxt)
-					this.#side = position ? AFTER_CLOSE : BEFORE_OPEN;
-				else{
-					// left/right side; edges switch to AFTER_OPEN/BEFORE_CLOSE
-					if (position)
-						this.#side = offset >= node.childNodes.length ? BEFORE_CLOSE : BEFORE_OPEN;
-					else this.#side = offset <= 0 ? AFTER_OPEN : AFTER_CLOSE;
-					// if we are referencing a child node
-					if (this.#side & FILTER_OUTSIDE)
-						node = node.childNodes[offset - !position];
+				// Range uses text offsets for CharacterData, so we can represent it exactly
+				if (is_character_data(node)){
+					this.#set(node, TEXT_OFFSET, Math.max(0, offset));
+					break;
 				}
-				this.#node = node;
-				// For text, we first clamp outside, then we clamp again to match the desird `position`;
-				// no way currently to do an "inclusive" boundary of a CharacterNode using this input syntax
-				if (istxt)
-					position ? this.next() : this.previous();
+				let side;
+				// left/right side; edges switch to AFTER_OPEN/BEFORE_CLOSE
+				if (position)
+					side = offset >= node.childNodes.length ? BEFORE_CLOSE : BEFORE_OPEN;
+				else side = offset <= 0 ? AFTER_OPEN : AFTER_CLOSE;
+				// if we are referencing a child node
+				if (side & FILTER_OUTSIDE)
+					node = node.childNodes[offset - !position];
+				this.#set(node, side);
 			} break;
 			default:
 				this.#set(null, BEFORE_OPEN);
 				break;
 		}
+		if (args.length > 1)
+			this.#strict_check();
 	}
 	// Property access
 	/** node whose boundary we reference
@@ -171,9 +356,10 @@ class Boundary{
 	 */
 	get node(){ return this.#node; }
 	set node(node){
-		if (!(node instanceof Node || node === null))
+		if (!(is_node(node) || node === null))
 			throw TypeError("node must be a Node or null");
 		this.#node = node;
+		this.#strict_check();
 	}
 	/** bit flag giving which side of the node our boundary is for; this is one of
 	 * {@link BoundaryFlags}
@@ -183,8 +369,44 @@ class Boundary{
 	set side(side){
 		if (!Boundary.#valid_side(side))
 			throw TypeError("invalid side bit flag");
+		if (side == TEXT_OFFSET && !is_character_data(this.#node))
+			throw TypeError("TEXT_OFFSET side requires a CharacterData node");
 		this.#side = side;
+		this.#strict_check();
+	}
+	/** character offset into a CharacterData node's data; only meaningful when
+	 * {@link Boundary#side|side} is {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}, and is zero
+	 * otherwise
+	 * @type {Number}
+	 */
+	get offset(){ return this.#side == TEXT_OFFSET ? this.#offset : 0; }
+	set offset(offset){
+		if (!Number.isInteger(offset) || offset < 0)
+			throw TypeError("offset must be a non-negative integer");
+		this.#offset = offset;
+		this.#strict_check();
 	}
+	/** Whether the boundary uses the composed tree for traversal and comparison. The composed tree,
+	 * also called the "flat tree", is the tree that gets rendered when using shadow DOM: open
+	 * shadow roots take the place of their host's children, and slots take the nodes assigned to
+	 * them as children. Traversal will step into shadow roots and through slots, and comparison
+	 * will order boundaries from different shadow trees.
+	 * 
+	 * Closed shadow roots are not accessible, so their hosts are traversed as regular elements.
+	 * Nodes that aren't rendered, such as a host's children that aren't assigned to a slot, are
+	 * not part of the composed tree; traversal ends at their edges, and they can't be compared
+	 * with nodes outside them. A comparison is done in composed mode if either boundary is
+	 * composed.
+	 * @type {boolean}
+	 */
+	get composed(){ return this.#composed; }
+	set composed(composed){ this.#composed = !!composed; }
+	/** Whether this boundary is in {@link Boundary.strict|strict} mode. Set to `true` or `false` to
+	 * override the global `Boundary.strict` setting for this boundary, or `null` to follow it again.
+	 * @type {boolean}
+	 */
+	get strict(){ return this.#strict ?? Boundary.strict; }
+	set strict(strict){ this.#strict = strict === null ? null : !!strict; }
 	/** Copy this Boundary object
 	 * @returns {Boundary} cloned boundary
 	 */
@@ -207,16 +429,21 @@ class Boundary{
 	 *  Set this parameter to `true` to use nearest outside boundary for CharacterData nodes, which
 	 *  is what makes more sense for use with Range. Set this to `false` to do no conversion, which
 	 *  can be useful if you are not using the anchor with Range.
+	 * 
+	 *  A {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary is always converted to its
+	 *  character offset, regardless of this parameter.
 	 * @returns {Object} An object with the following members:
-	 * - `node` (`Node`): a reference parent node
-	 * - `offset` (`number`): offset inside the node's childNodes list
+	 * - `node` (`Node`): a reference parent node, or the CharacterData node itself for a text offset
+	 * - `offset` (`number`): offset inside the node's childNodes list, or character offset
 	 */
 	toAnchor(text=true){
 		if (!this.#node)
 			throw Error("cannot convert null Boundary to anchor");
+		if (this.#side == TEXT_OFFSET)
+			return {node: this.#node, offset: this.#clamped_offset()};
 		let node = this.#node, offset = 0;
 		// calculate offset by finding node's index in parent's child nodes
-		if (this.#side & FILTER_OUTSIDE || (text && node instanceof CharacterData)){
+		if (this.#side & FILTER_OUTSIDE || (text && is_character_data(node))){
 			let child = node;
 			node = node.parentNode;
 			// Range offset indexes the previous side (so open boundaries are exclusive)
@@ -231,6 +458,245 @@ class Boundary{
 			offset = node.childNodes.length;
 		return {node, offset};
 	}
+	/** Serialize to a portable JSON object, which can be restored with
+	 * {@link Boundary.fromJSON|fromJSON}. The reference node is encoded as a path of child indices
+	 * relative to `root`, so the boundary can be resolved against a different copy of the same
+	 * document, e.g. after a page reload or from server-side rendered markup.
+	 * 
+	 * ```js
+	 * const json = JSON.stringify(boundary.toJSON(document.body));
+	 * // ... later, or in a different copy of the document
+	 * const restored = Boundary.fromJSON(json, document.body);
+	 * ```
+	 * 
+	 * @param {Node} [root] node the path is relative to; defaults to the root node of the
+	 * 	boundary's node (e.g. the `Document`), which is also what `JSON.stringify` will use
+	 * @param {boolean} [hints=false] include the `nodeName` and element `id` of each node along
+	 * 	the path. When restoring, these are used to verify the path, and to recover if the element
+	 * 	with that id was moved.
+	 * @returns {Object} plain object with the following members:
+	 * - `path` (`?number[]`): child indices from `root` to the reference node; `null` if the
+	 *   boundary {@link Boundary#isNull|isNull}
+	 * - `side` (`number`): the boundary's {@link Boundary#side|side}
+	 * - `offset` (`number`): the character {@link Boundary#offset|offset}; only present for
+	 *   {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}
+	 * - `composed` (`boolean`): true if the boundary is {@link Boundary#composed|composed}, in
+	 *   which case the path is through the composed tree; only present if true
+	 * - `hints` (`Object[]`): if requested, `{name, id}` for each node along the path
+	 */
+	toJSON(root, hints=false){
+		const json = {path: null, side: this.#side};
+		if (this.#side == TEXT_OFFSET)
+			json.offset = this.#offset;
+		if (this.#composed)
+			json.composed = true;
+		if (!this.#node)
+			return json;
+		// JSON.stringify passes a string key
+		if (!is_node(root))
+			root = this.#node.getRootNode({composed: this.#composed});
+		const found = node_path(root, this.#node, this.#tree);
+		if (!found)
+			throw Error("Boundary node is not inside root");
+		const [path, nodes] = found;
+		json.path = path;
+		if (hints)
+			json.hints = nodes.map(node => {
+				const hint = {name: node.nodeName};
+				if (node.id)
+					hint.id = node.id;
+				return hint;
+			});
+		return json;
+	}
+	/** Restore a boundary that was serialized with {@link Boundary#toJSON|toJSON}
+	 * @param {Object|string} json the serialized object, or its JSON string
+	 * @param {Node} root node the path is relative to; this should correspond to the `root` that
+	 * 	was used for serialization
+	 * @returns {Boundary} the restored boundary
+	 * @throws if the path cannot be resolved inside `root`
+	 */
+	static fromJSON(json, root){
+		if (typeof json == "string")
+			json = JSON.parse(json);
+		const composed = !!json.composed;
+		let b;
+		if (!json.path)
+			b = new Boundary(null, json.side);
+		else{
+			if (!is_node(root))
+				throw TypeError("expected Node for root");
+			const node = resolve_path(root, json.path, composed ? FLAT_TREE : LIGHT_TREE, (child, i) => {
+				const hint = json.hints?.[i];
+				if (hint && (!child || child.nodeName != hint.name || (hint.id && child.id != hint.id))){
+					// the path is stale; the element with a matching id is a better guess
+					if (hint.id)
+						child = Boundary.#find_id(root, hint.id) ?? child;
+				}
+				return child;
+			});
+			b = new Boundary(node, json.side);
+			if (json.side == TEXT_OFFSET)
+				b.offset = json.offset;
+		}
+		b.composed = composed;
+		return b;
+	}
+	/** Convert to a linear integer position inside `root`, as used by editors such as
+	 * ProseMirror and collaborative editing backends. Positions count the steps taken by
+	 * [next]{@link Boundary#next} from the start of `root`'s content: entering or leaving a node
+	 * counts as one, and with `countText`, each character of a CharacterData node counts as one
+	 * instead. For example, with `root` being `div`:
+	 * 
+	 * ```html
+	 * <div>0<p>1a2b3</p>4<em>5</em>6</div>
+	 * ```
+	 * 
+	 * Adjacent boundaries (see {@link Boundary#isAdjacent}) share the same position. Unlike
+	 * {@link Boundary#toAnchor|toAnchor}, the position is relative to `root` rather than the
+	 * boundary's parent, so it can be sent to another copy of the document and restored with
+	 * {@link Boundary.fromPosition|fromPosition}.
+	 * @param {Node} root node whose content positions are counted from
+	 * @param {Object} [options]
+	 * @param {boolean} [options.countText=true] count each character of CharacterData nodes; if
+	 * 	false, CharacterData nodes are counted like empty elements, and a
+	 * 	{@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary is at the single position inside
+	 * @returns {number} position, from zero up to the size of `root`'s content
+	 * @throws if the boundary is null or not inside `root`
+	 */
+	toPosition(root, {countText=true}={}){
+		if (!this.#node)
+			throw Error("cannot convert null Boundary to position");
+		const tree = this.#tree;
+		const node = this.#node;
+		if (node === root ? this.#side & FILTER_OUTSIDE : !tree.contains(root, node))
+			throw Error("Boundary is not inside root");
+		const text = countText && is_character_data(node);
+		const size = position_size(node, tree, countText);
+		// position of the node's BEFORE_OPEN; the root's own open is not counted
+		let pos = node === root ? -!text : 0;
+		for (let n = node; n !== root;){
+			for (let s = tree.previous(n); s; s = tree.previous(s))
+				pos += position_size(s, tree, countText);
+			n = tree.parent(n);
+			if (n !== root)
+				pos++;
+		}
+		switch (this.#side){
+			case BEFORE_OPEN: return pos;
+			case AFTER_OPEN: return pos + !text;
+			case TEXT_OFFSET: return text ? pos + this.#clamped_offset() : pos + 1;
+			case BEFORE_CLOSE: return pos + size - !text;
+			default: return pos + size;
+		}
+	}
+	/** Restore a boundary from a linear position given by {@link Boundary#toPosition|toPosition}.
+	 * A position is shared by adjacent boundaries, so the result is the one inside the deepest
+	 * node: a {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary if the position touches a
+	 * CharacterData node, otherwise the `BEFORE_OPEN` of the following node or `BEFORE_CLOSE` of
+	 * the parent.
+	 * @param {Node} root node whose content positions are counted from
+	 * @param {number} position position inside `root`
+	 * @param {Object} [options]
+	 * @param {boolean} [options.countText=true] see {@link Boundary#toPosition}
+	 * @param {boolean} [options.composed=false] count positions in the composed tree; this sets
+	 * 	{@link Boundary#composed|composed} on the result
+	 * @returns {Boundary} the restored boundary
+	 * @throws if the position is outside `root`
+	 */
+	static fromPosition(root, position, {countText=true, composed=false}={}){
+		if (!is_node(root))
+			throw TypeError("expected Node for root");
+		if (!Number.isInteger(position))
+			throw TypeError("expected integer for position");
+		const tree = composed ? FLAT_TREE : LIGHT_TREE;
+		const text = countText && is_character_data(root);
+		if (position < 0 || position > position_size(root, tree, countText) - 2*!text)
+			throw Error("position is outside root");
+		const resolve = () => {
+			let parent = root, r = position;
+			descend: while (true){
+				for (let c = tree.first(parent); c; c = tree.next(c)){
+					if (countText && is_character_data(c)){
+						if (r <= c.length)
+							return new Boundary(c, r, POSITION_BEFORE);
+						r -= c.length;
+						continue;
+					}
+					if (!r)
+						return new Boundary(c, BEFORE_OPEN);
+					const size = position_size(c, tree, countText);
+					// inside c's content
+					if (r < size){
+						parent = c;
+						r--;
+						continue descend;
+					}
+					r -= size;
+				}
+				if (is_character_data(parent))
+					return new Boundary(parent, countText ? r : 0, POSITION_BEFORE);
+				return new Boundary(parent, BEFORE_CLOSE);
+			}
+		};
+		const b = resolve();
+		b.composed = composed;
+		return b;
+	}
+	/** Translate the boundary to a structurally identical tree, such as a copy made with
+	 * `sourceRoot.cloneNode(true)`. The corresponding node is found by following the same child
+	 * indices from `targetRoot` as lead from `sourceRoot` to the boundary's node; the side, offset
+	 * and {@link Boundary#composed|composed} mode are kept, and a composed boundary's indices are
+	 * those of the composed tree. Mapping back to the original tree
+	 * works the same, with the roots swapped:
+	 * 
+	 * ```js
+	 * const copy = editor.cloneNode(true);
+	 * const mapped = caret.mapTo(editor, copy);
+	 * mapped.mapTo(copy, editor).isEqual(caret); // true
+	 * ```
+	 * 
+	 * @param {Node} sourceRoot root of the tree the boundary is in
+	 * @param {Node} targetRoot corresponding root of the tree to map to
+	 * @param {Object} [options]
+	 * @param {boolean} [options.verify=true] check that each node along the path has the same
+	 * 	node type and name in both trees
+	 * @returns {Boundary} a new boundary inside `targetRoot`; a null boundary maps to a null boundary
+	 * @throws if the boundary is not inside `sourceRoot`, or the trees don't correspond
+	 */
+	mapTo(sourceRoot, targetRoot, {verify=true}={}){
+		if (!is_node(sourceRoot) || !is_node(targetRoot))
+			throw TypeError("expected Node for source and target roots");
+		const b = this.clone();
+		if (!this.#node)
+			return b;
+		const tree = this.#tree;
+		const found = node_path(sourceRoot, this.#node, tree);
+		if (!found)
+			throw Error("Boundary node is not inside source root");
+		const [path, nodes] = found;
+		const differs = (a, b) => verify && (a.nodeType != b.nodeType || a.nodeName != b.nodeName);
+		if (differs(sourceRoot, targetRoot))
+			throw Error("target root does not match source root");
+		const target = resolve_path(targetRoot, path, tree, (child, i) => {
+			if (!child || differs(nodes[i], child))
+				throw Error(`target tree does not match source at depth ${i + 1}`);
+			return child;
+		});
+		b.#set(target, this.#side, this.#offset);
+		return b;
+	}
+	/** find element by id inside root
+	 * @private
+	 */
+	static #find_id(root, id){
+		if (root.getElementById)
+			return root.getElementById(id);
+		for (const el of root.querySelectorAll("[id]"))
+			if (el.id == id)
+				return el;
+		return null;
+	}
 	/** Compare relative position of two boundaries
 	 * @param {Boundary} other boundary to compare with
 	 * @returns {?number} One of the following:
@@ -242,25 +708,32 @@ class Boundary{
 	 * Note, two boundaries that are adjacent, but have differing nodes/boundaries are not
 	 * considered "equal". They have an implicit side to them. Use
 	 * [isAdjacent]{@link Boundary#isAdjacent} to check for this case instead.
+	 * 
+	 * If either boundary is {@link Boundary#composed|composed}, they are compared by their
+	 * composed tree order.
 	 */
 	compare(other){
 		if (this.#node && other.#node){
-			if (this.#node === other.#node)
+			if (this.#node === other.#node){
+				if (this.#side == TEXT_OFFSET && other.#side == TEXT_OFFSET)
+					return Math.sign(this.#offset - other.#offset);
 				return Math.sign(this.#side - other.#side);
-			const p = this.#node.compareDocumentPosition(other.#node);
+			}
+			const tree = this.#composed || other.#composed ? FLAT_TREE : LIGHT_TREE;
+			const p = tree.position(this.#node, other.#node);
 			// disconnected trees: DOM is allowed to also set PRECEDING/FOLLOWING
 			// (alongside IMPLEMENTATION_SPECIFIC) for sort stability, so we must
 			// short-circuit here before checking those bits below
-			if (p & Node.DOCUMENT_POSITION_DISCONNECTED)
+			if (p & DOCUMENT_POSITION_DISCONNECTED)
 				return null;
 			// handle contained/contains before preceding/following, since they can combine
-			if (p & Node.DOCUMENT_POSITION_CONTAINED_BY)
+			if (p & DOCUMENT_POSITION_CONTAINED_BY)
 				return Math.sign(this.#side - POSITION_INSIDE);
-			if (p & Node.DOCUMENT_POSITION_CONTAINS)
+			if (p & DOCUMENT_POSITION_CONTAINS)
 				return Math.sign(POSITION_INSIDE - other.#side);
-			if (p & Node.DOCUMENT_POSITION_PRECEDING)
+			if (p & DOCUMENT_POSITION_PRECEDING)
 				return 1;
-			if (p & Node.DOCUMENT_POSITION_FOLLOWING)
+			if (p & DOCUMENT_POSITION_FOLLOWING)
 				return -1;
 		}
 		// null boundary or implementation specific
@@ -270,44 +743,89 @@ class Boundary{
 	 * 	before, or after the node. For more detailed comparisons, create a Boundary for `node` to
 	 * 	compare with instead (see [compare]{@link Boundary#compare}).
 	 * @param {Node} node node to compare with
+	 * @param {boolean} [composed] compare using the composed tree; defaults to
+	 * 	{@link Boundary#composed|composed}
 	 * @returns {?number} One of the following:
 	 * - `null` if the boundary is null, in a different DOM tree than node, or the relative postiion can't be determined
 	 * - {@link BoundaryFlags.POSITION_BEFORE|POSITION_BEFORE} if the boundary comes before `node` in DOM order
 	 * - {@link BoundaryFlags.POSITION_INSIDE|POSITION_INSIDE} if the boundary is inside `node`
 	 * - {@link BoundaryFlags.POSITION_AFTER|POSITION_AFTER} if the boundary comes after `node` in DOM order
 	 */	
-	compareNode(node){
+	compareNode(node, composed=this.#composed){
 		if (this.#node){
 			if (node === this.#node){
 				if (this.#side & FILTER_INSIDE)
 					return POSITION_INSIDE;
 				return this.#side > POSITION_INSIDE ? POSITION_AFTER : POSITION_BEFORE;
 			}
-			const p = this.#node.compareDocumentPosition(node);
+			const p = (composed ? FLAT_TREE : LIGHT_TREE).position(this.#node, node);
 			// disconnected trees: DOM is allowed to also set PRECEDING/FOLLOWING
 			// (alongside IMPLEMENTATION_SPECIFIC) for sort stability, so we must
 			// short-circuit here before checking those bits below
-			if (p & Node.DOCUMENT_POSITION_DISCONNECTED)
+			if (p & DOCUMENT_POSITION_DISCONNECTED)
 				return null;
 			// handle contained/contains before preceding/following, since they can combine
-			if (p & Node.DOCUMENT_POSITION_CONTAINED_BY)
+			if (p & DOCUMENT_POSITION_CONTAINED_BY)
 				return this.#side & FILTER_CLOSE ? POSITION_AFTER : POSITION_BEFORE;
-			if (p & Node.DOCUMENT_POSITION_CONTAINS)
+			if (p & DOCUMENT_POSITION_CONTAINS)
 				return POSITION_INSIDE;
-			if (p & Node.DOCUMENT_POSITION_PRECEDING)
+			if (p & DOCUMENT_POSITION_PRECEDING)
 				return POSITION_AFTER;
-			if (p & Node.DOCUMENT_POSITION_FOLLOWING)
+			if (p & DOCUMENT_POSITION_FOLLOWING)
 				return POSITION_BEFORE;
 		}
 		// null boundary or implementation specific
 		return null;
 	}
+	/** Check the boundary for problems, such as a node that has been removed from the document,
+	 * or a side that isn't valid for the node's type. This is useful to catch boundaries that have
+	 * gone stale.
+	 * 
+	 * ```js
+	 * for (const d of b.validate())
+	 * 	console.warn(d.code, d.message);
+	 * ```
+	 * @returns {BoundaryDiagnostic[]} the problems found, or an empty array if there are none
+	 */
+	validate(){
+		const issues = [];
+		const issue = (code, severity, message) => issues.push({code, severity, message});
+		const node = this.#node;
+		if (!node){
+			issue("null", "error", "Boundary node is null");
+			return issues;
+		}
+		const name = node.nodeName;
+		if (this.#side == TEXT_OFFSET){
+			if (!is_character_data(node))
+				issue("invalid-side", "error", `TEXT_OFFSET side requires a CharacterData node, not ${name}`);
+			else if (this.#offset > node.length)
+				issue("offset-out-of-range", "error",
+					`TEXT_OFFSET offset ${this.#offset} is past the end of ${name} data of length ${node.length}`);
+		}
+		else if (this.#side & FILTER_INSIDE){
+			if (is_character_data(node))
+				issue("invalid-side", "warning",
+					`inner side of ${name} is treated as outside the node when converted to a Range; use TEXT_OFFSET instead`);
+			else if (node.nodeType == TYPE_DOCUMENT_TYPE)
+				issue("invalid-side", "error", `inner side of ${name}, which cannot have children`);
+			else if (node.nodeType == TYPE_ELEMENT && node.namespaceURI == HTML_NAMESPACE &&
+				VOID_ELEMENTS.has(node.localName))
+				issue("void-element", "error", `Boundary is inside void element ${name}`);
+		}
+		else if (!node.parentNode)
+			issue("no-parent", "warning", `outer side of ${name}, which has no parent`);
+		if (!node.isConnected)
+			issue("detached", "warning", `Boundary node ${name} is not connected to a document`);
+		return issues;
+	}
 	/** Check if boundary equals another
 	 * @param {Boundary} other boundary to compare with
 	 * @returns {boolean} true if the boundaries are identical
 	 */
 	isEqual(other){
-		return this.#node === other.#node && this.#side === other.#side;
+		return this.#node === other.#node && this.#side === other.#side &&
+			(this.#side != TEXT_OFFSET || this.#offset === other.#offset);
 	}
 	/** Check if this boundary directly precedes another, and is the same DOM insertion point. For
 	 * example, given the following DOM with letters representing boundaries:
@@ -320,6 +838,10 @@ class Boundary{
 	 * represent the same DOM position, they differ in whether they are in reference to the
 	 * preceding or following node. The preceding boundary will always have an "AFTER" side, with
 	 * the adjacent following boundary having a "BEFORE" side (see {@link BoundaryFlags}).
+	 * 
+	 * A {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary at the start of the node's data
+	 * follows the adjacent `AFTER_OPEN` boundary, and one at the end of the data precedes the
+	 * adjacent `BEFORE_CLOSE` boundary.
 	 * @param {Boundary} other boundary to compare with
 	 * @returns {boolean} true if `other` is adjacent *and* following `this`
 	 */
@@ -327,6 +849,11 @@ class Boundary{
 		// before_open <-> after_open are not adjacent since one is outside the node and the other inside
 		if (!this.#node || !other.#node || this.#side & FILTER_BEFORE || other.#side & FILTER_AFTER)
 			return false;
+		if (other.#side == TEXT_OFFSET)
+			return this.#side == AFTER_OPEN && this.#node === other.#node && !other.#clamped_offset();
+		if (this.#side == TEXT_OFFSET)
+			return other.#side == BEFORE_CLOSE && this.#node === other.#node &&
+				this.#clamped_offset() == this.#node.length;
 		return this.clone().next().isEqual(other);
 	}
 	/** Check if the boundary node is not set (e.g. null). A null reference node is allowed, and can
@@ -340,16 +867,22 @@ class Boundary{
 	 * A<span>B C</span>D
 	 * ```
 	 * 
-	 * A would become B and D would become C.
+	 * A would become B and D would become C. For a `CharacterData` node, this is a
+	 * {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} at the start or end of its data.
 	 * @returns {Boundary} modified `this`
 	 */
 	inside(){
-		switch (this.side){
+		const text = is_character_data(this.#node);
+		switch (this.#side){
 			case AFTER_CLOSE:
-				this.side = BEFORE_CLOSE;
+				if (text)
+					this.#set(this.#node, TEXT_OFFSET, this.#node.length);
+				else this.#side = BEFORE_CLOSE;
 				break;
 			case BEFORE_OPEN:
-				this.side = AFTER_OPEN;
+				if (text)
+					this.#set(this.#node, TEXT_OFFSET, 0);
+				else this.#side = AFTER_OPEN;
 				break;
 		}
 		return this;
@@ -360,12 +893,12 @@ class Boundary{
 	 * @returns {Boundary} modified `this`
 	 */
 	outside(){
-		switch (this.side){
+		switch (this.#side){
 			case BEFORE_CLOSE:
-				this.side = AFTER_CLOSE;
+				this.#side = AFTER_CLOSE;
 				break;
 			case AFTER_OPEN:
-				this.side = BEFORE_OPEN;
+				this.#side = BEFORE_OPEN;
 				break;
 		}
 		return this;
@@ -378,53 +911,131 @@ class Boundary{
 	 * 
 	 * Given a boundary starting at A, traversal would proceed to B, C, D, and finally null
 	 * to signal an end to traversal.
+	 * 
+	 * Traversal is structural, so does not visit {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}
+	 * boundaries; from a text offset, traversal proceeds to `BEFORE_CLOSE` of the same node.
+	 * 
+	 * Pass `options` to skip boundaries until one passes the filters. For example, to traverse
+	 * to the next opening boundary of an element:
+	 * 
+	 * ```js
+	 * b.next({sides: BoundaryFlags.FILTER_OPEN, whatToShow: NodeFilter.SHOW_ELEMENT});
+	 * ```
+	 * @param {TraversalOptions} [options] filters for which boundary to stop at
 	 * @returns {Boundary} modified `this`
 	 */
-	next(){
-		if (!this.#node) return;
+	next(options){
+		if (!this.#node)
+			return this.#null_traversal();
+		if (options)
+			return this.#filtered(true, options);
+		this.#next(this.#tree);
+		return this;
+	}
+	/** traversing from a null boundary
+	 * @private
+	 */
+	#null_traversal(){
+		if (this.strict)
+			throw Error("cannot traverse from a null Boundary");
+		return this;
+	}
+	/** single unfiltered step for next
+	 * @private
+	 */
+	#next(tree){
 		switch (this.#side){
 			case AFTER_OPEN:
-				const c = this.#node.firstChild;
+				const c = tree.first(this.#node);
 				if (c)
 					this.#set(c, BEFORE_OPEN);
 				else this.#side = BEFORE_CLOSE;
 				break;
 			case AFTER_CLOSE:
-				const s = this.#node.nextSibling;
+				const s = tree.next(this.#node);
 				if (s)
 					this.#set(s, BEFORE_OPEN);
-				else this.#set(this.#node.parentNode, BEFORE_CLOSE);
+				else this.#set(tree.parent(this.#node), BEFORE_CLOSE);
 				break;
-			// before -> after
+			// before -> after; text offset -> before_close
 			default:
-				this.#side >>= 1;
+				this.#side <<= 1;
 				break;
 		}
-		return this;
 	}
 	/** Traverses to the previous boundary point.
-	 * Performs the inverse of {@link Boundary#next|next}
+	 * Performs the inverse of {@link Boundary#next|next}; from a
+	 * {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}, traversal proceeds to `AFTER_OPEN`
 	 * @see {@link Boundary#next|next} for additional details
+	 * @param {TraversalOptions} [options] filters for which boundary to stop at
 	 * @returns {Boundary} modified `this`
 	 */
-	previous(){
-		if (!this.#node) return;
+	previous(options){
+		if (!this.#node)
+			return this.#null_traversal();
+		if (options)
+			return this.#filtered(false, options);
+		this.#previous(this.#tree);
+		return this;
+	}
+	/** single unfiltered step for previous
+	 * @private
+	 */
+	#previous(tree){
 		switch (this.#side){
 			case BEFORE_CLOSE:
-				const c = this.#node.lastChild;
+				const c = tree.last(this.#node);
 				if (c)
 					this.#set(c, AFTER_CLOSE);
 				else this.#side = AFTER_OPEN;
 				break;
 			case BEFORE_OPEN:
-				const s = this.#node.previousSibling;
+				const s = tree.previous(this.#node);
 				if (s)
 					this.#set(s, AFTER_CLOSE);
-				else this.#set(this.#node.parentNode, AFTER_OPEN);
+				else this.#set(tree.parent(this.#node), AFTER_OPEN);
 				break;
-			// after -> before
+			// after -> before; text offset -> after_open
 			default:
-				this.#side <<= 1;
+				this.#side >>= 1;
+				break;
+		}
+	}
+	/** Create a function that applies whatToShow and filter to a node, returning a NodeFilter value
+	 * @private
+	 */
+	static #acceptor(whatToShow=SHOW_ALL, filter=null){
+		return node => {
+			if (!(whatToShow & (1 << (node.nodeType - 1))))
+				return NODE_SKIP;
+			if (!filter)
+				return NODE_ACCEPT;
+			const res = typeof filter == "function" ? filter(node) : filter.acceptNode(node);
+			return res == NODE_ACCEPT || res == NODE_REJECT ? res : NODE_SKIP;
+		};
+	}
+	/** next/previous with filtering options
+	 * @private
+	 */
+	#filtered(forward, {sides=FILTER_ALL, whatToShow, filter, root=null, composed=this.#composed}){
+		const accept = Boundary.#acceptor(whatToShow, filter);
+		const tree = composed ? FLAT_TREE : LIGHT_TREE;
+		// side where we enter a node, and can skip over its descendants
+		const enter = forward ? BEFORE_OPEN : AFTER_CLOSE;
+		while (true){
+			forward ? this.#next(tree) : this.#previous(tree);
+			if (!this.#node)
+				break;
+			if (root && !tree.contains(root, this.#node)){
+				this.#node = null;
+				break;
+			}
+			const res = accept(this.#node);
+			if (res == NODE_REJECT){
+				if (this.#side == enter)
+					this.#side = forward ? AFTER_CLOSE : BEFORE_OPEN;
+			}
+			else if (res == NODE_ACCEPT && this.#side & sides)
 				break;
 		}
 		return this;
@@ -448,38 +1059,54 @@ class Boundary{
 	 * or {@link BoundaryFlags.BEFORE_OPEN|BEFORE_CLOSE}. If the current Boundary is one of these types,
 	 * it will be yielded first by default.
 	 * 
+	 * Nodes can be filtered with `options`. A node that is skipped or rejected will not be yielded;
+	 * for a rejected node, its descendants are not traversed either.
+	 * 
 	 * @param {boolean} [include_start=true] whether to yield the starting Boundary if it is of type "BEFORE"
+	 * @param {TraversalOptions} [options] filters for which nodes to yield; `sides` is ignored
 	 * @yields {Boundary} Modified `this`; traversal continues until there is neither sibling or
 	 * parent node. If you need a copy for each iteration, [clone]{@link Boundary#clone} the emitted
 	 * Boundary.
 	 */
-	*nextNodes(include_start=true){
+	*nextNodes(include_start=true, {whatToShow, filter, root=null, composed=this.#composed}={}){
+		if (!this.#node) return;
+		const accept = Boundary.#acceptor(whatToShow, filter);
+		const tree = composed ? FLAT_TREE : LIGHT_TREE;
 		// always BEFORE_OPEN or BEFORE_CLOSE; need to convert start bounds to this
-		const after = this.#side & FILTER_AFTER;
+		const after = !(this.#side & FILTER_BEFORE);
 		if (after || !include_start){
-			this.next();
-			if (!after)
-				this.next();
+			this.#next(tree);
+			if (!after && this.#node)
+				this.#next(tree);
 		}
-		if (!this.#node) return;
-		yield this;
+		if (!this.#node || root && !tree.contains(root, this.#node)) return;
+		// whether we can descend into the current node's children
+		let res = accept(this.#node);
+		if (res == NODE_ACCEPT)
+			yield this;
 		let depth = 0, n;
 		while (true){
 			// if BEFORE_CLOSE, we've already passed all the children
-			if (this.#side == BEFORE_OPEN && (n = this.#node.firstChild)){
+			if (this.#side == BEFORE_OPEN && res != NODE_REJECT && (n = tree.first(this.#node))){
 				this.#node = n;
 				depth++;
-				yield this;
+				if ((res = accept(n)) == NODE_ACCEPT)
+					yield this;
 			}
-			else if (n = this.#node.nextSibling){
+			else if (this.#node === root)
+				return;
+			else if (n = tree.next(this.#node)){
 				this.#set(n, BEFORE_OPEN);
-				yield this;
+				if ((res = accept(n)) == NODE_ACCEPT)
+					yield this;
 			}
-			else if (n = this.#node.parentNode){
+			else if (n = tree.parent(this.#node)){
 				this.#set(n, BEFORE_CLOSE);
 				// while depth non-zero, we've seen this node already
-				if (!depth)
-					yield this;
+				if (!depth){
+					if (accept(n) == NODE_ACCEPT)
+						yield this;
+				}
 				else --depth;
 			}
 			else return;
@@ -489,48 +1116,133 @@ class Boundary{
 	 * the previous direction, the side will always be one of
 	 * {@link BoundaryFlags.AFTER_OPEN|AFTER_OPEN} or {@link BoundaryFlags.AFTER_CLOSE|AFTER_CLOSE}
 	 * @param {boolean} [include_start=true] whether to yield the starting Boundary if it is of type "AFTER"
+	 * @param {TraversalOptions} [options] filters for which nodes to yield; `sides` is ignored
 	 * @see {@link Boundary#nextNodes|nextNodes} for additional details
 	 * @yield {Boundary} modified `this`
 	 */
-	*previousNodes(include_start=true){
+	*previousNodes(include_start=true, {whatToShow, filter, root=null, composed=this.#composed}={}){
+		if (!this.#node) return;
+		const accept = Boundary.#acceptor(whatToShow, filter);
+		const tree = composed ? FLAT_TREE : LIGHT_TREE;
 		// always AFTER_OPEN or AFTER_CLOSE; need to convert start bounds to this
-		const before = this.#side & FILTER_BEFORE;
+		const before = !(this.#side & FILTER_AFTER);
 		if (before || !include_start){
-			this.previous();
-			if (!before)
-				this.previous();
+			this.#previous(tree);
+			if (!before && this.#node)
+				this.#previous(tree);
 		}
-		if (!this.#node) return;
-		yield this;
+		if (!this.#node || root && !tree.contains(root, this.#node)) return;
+		// whether we can descend into the current node's children
+		let res = accept(this.#node);
+		if (res == NODE_ACCEPT)
+			yield this;
 		let depth = 0, n;
 		while (true){
 			// if AFTER_OPEN, we've already passed all the children
-			if (this.#side == AFTER_CLOSE && (n = this.#node.lastChild)){
+			if (this.#side == AFTER_CLOSE && res != NODE_REJECT && (n = tree.last(this.#node))){
 				this.#node = n;
 				depth++;
-				yield this;
+				if ((res = accept(n)) == NODE_ACCEPT)
+					yield this;
 			}
-			else if (n = this.#node.previousSibling){
+			else if (this.#node === root)
+				return;
+			else if (n = tree.previous(this.#node)){
 				this.#set(n, AFTER_CLOSE);
-				yield this;
+				if ((res = accept(n)) == NODE_ACCEPT)
+					yield this;
 			}
-			else if (n = this.#node.parentNode){
+			else if (n = tree.parent(this.#node)){
 				this.#set(n, AFTER_OPEN);
 				// while depth non-zero, we've seen this node already
-				if (!depth)
-					yield this;
+				if (!depth){
+					if (accept(n) == NODE_ACCEPT)
+						yield this;
+				}
 				else --depth;
 			}
 			else return;
 		}
 	}
-	/** Insert nodes into the DOM at this boundary position
+	/** Move the boundary by a number of text units. Units are found with `Intl.Segmenter`:
+	 * - `"character"`: a single code point
+	 * - `"grapheme"`: a user-perceived character, e.g. an emoji with modifiers
+	 * - `"word"`: moving forward stops at the end of each word, and moving backward stops at the
+	 *   start of each word; whitespace and punctuation are skipped over
+	 * - `"sentence"`: stops at the start of each sentence
+	 * 
+	 * The boundary ends as a {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary, inside the
+	 * `Text` node whose content was crossed last. If the boundary is not inside a text node, it
+	 * first moves to the nearest text in the direction of movement. For example, moving by word:
+	 * 
+	 * ```html
+	 * <p>A one <b>tw</b>o, three</p>
+	 * ```
+	 * 
+	 * Starting at A and moving forward, the boundary stops after `one`, `two` (inside the final
+	 * text node), and `three`.
+	 * @param {string} unit one of `"character"`, `"grapheme"`, `"word"`, or `"sentence"`
+	 * @param {number} [count=1] number of units to move; negative to move backward
+	 * @param {TextUnitOptions} [options] which text to move through
+	 * @returns {number} the number of units moved, with the same sign as `count`; this is less than
+	 * 	`count` if the start or end of the text (or a block) was reached. If no units could be
+	 * 	moved, the boundary is unchanged.
+	 */
+	move(unit, count=1, {blocks=false, root=null, locale}={}){
+		if (!this.#node)
+			throw Error("cannot move null Boundary");
+		const forward = count >= 0;
+		const tree = this.#tree, block = block_filter(blocks);
+		root ??= this.#node.getRootNode({composed: this.#composed});
+		const container = this.#side & FILTER_OUTSIDE ? tree.parent(this.#node) : this.#node;
+		for (const scope of text_scopes(container, root, block, tree)){
+			const last = scope === root;
+			const runs = text_runs(scope, tree, block);
+			const pos = text_position(runs, this, forward);
+			if (!pos){
+				if (last)
+					return 0;
+				continue;
+			}
+			const [run, start] = pos;
+			const stops = text_segments(run.text, unit, locale).flatMap(([s, e, word]) => {
+				if (unit == "word")
+					return word ? [forward ? e : s] : [];
+				return [s, e];
+			});
+			let index = start, moved = 0;
+			for (; moved < Math.abs(count); moved++){
+				const next = forward ?
+					stops.find(i => i > index) :
+					stops.findLast(i => i < index);
+				if (next === undefined)
+					break;
+				index = next;
+			}
+			if (moved){
+				const {node, offset} = text_anchor(run, index, forward);
+				this.#set(node, TEXT_OFFSET, offset);
+			}
+			return forward || !moved ? moved : -moved;
+		}
+	}
+	/** Insert nodes into the DOM at this boundary position. For a
+	 * {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary, the `Text` node is split at the offset
+	 * (as `Range.insertNode` does) and the nodes are inserted between the two halves. The boundary
+	 * remains at the end of the first half, preceding the inserted nodes.
 	 * @param {Node} nodes the nodes to insert
 	 */
 	insert(...nodes){
 		if (!this.#node)
 			throw Error("inserting at null Boundary");
 		switch (this.#side){
+			case TEXT_OFFSET:
+				if (!this.#node.splitText)
+					throw Error("can only insert inside a Text node");
+				this.#offset = this.#clamped_offset();
+				this.#node.splitText(this.#offset);
+				this.#node.after(...nodes);
+				break;
 			case BEFORE_OPEN:
 				this.#node.before(...nodes);
 				break;
@@ -545,6 +1257,201 @@ class Boundary{
 				break;
 		}
 	}
+	/** Split the ancestors of the boundary's position, up to `root`, so that the position sits
+	 * directly inside `root`. A CharacterData node the boundary is inside is split as well. Each
+	 * ancestor that is split is cloned (without children, but keeping its attributes except `id`)
+	 * to hold the content following the position. An ancestor is not split if the position is at
+	 * its start or end; the cut is moved outside it instead, so no empty halves are created. For
+	 * example, splitting at `|` with `root` as `ul`:
+	 * 
+	 * ```html
+	 * <ul><li class="x">a<b>b|c</b></li></ul>
+	 * <ul><li class="x">a<b>b</b></li>|<li class="x"><b>c</b></li></ul>
+	 * ```
+	 * 
+	 * Afterwards, nodes can be inserted between the two halves without leaving unbalanced markup.
+	 * The boundary itself is not modified, but note that its node may have been split.
+	 * @param {Node} root ancestor to split up to; this node is not split. It must contain the
+	 * 	position, so can't be a CharacterData node.
+	 * @returns {Boundary[]} a pair of {@link Boundary#isAdjacent|adjacent} boundaries at the cut
+	 * 	point, which is directly inside `root`. The first references the content preceding the
+	 * 	cut, or is `AFTER_OPEN` of `root` if there is none; the second references the content
+	 * 	following the cut, or is `BEFORE_CLOSE` of `root`.
+	 * @throws if the boundary is null or its position is not inside `root`
+	 */
+	split(root){
+		const node = this.#node;
+		if (!node)
+			throw Error("cannot split at null Boundary");
+		if (!is_node(root) || is_character_data(root) || root.nodeType == TYPE_DOCUMENT_TYPE)
+			throw TypeError("expected a Node that can have children for root");
+		const inner = this.#side & FILTER_INSIDE;
+		// the parent the position is directly inside must be root or a descendant of it
+		const container = inner && !is_character_data(node) ? node : node.parentNode;
+		if (!container || !root.contains(container))
+			throw Error("Boundary is not inside root");
+		// position as the children before/after it, inside parent
+		let parent, before, after;
+		if (inner && is_character_data(node)){
+			const offset = this.#side == TEXT_OFFSET ? this.#clamped_offset() :
+				this.#side == AFTER_OPEN ? 0 : node.length;
+			parent = node.parentNode;
+			if (!offset)
+				[before, after] = [node.previousSibling, node];
+			else if (offset == node.length)
+				[before, after] = [node, node.nextSibling];
+			else if (node.splitText)
+				[before, after] = [node, node.splitText(offset)];
+			else{
+				const half = node.cloneNode();
+				half.data = node.data.substring(offset);
+				node.deleteData(offset, node.length - offset);
+				node.after(half);
+				[before, after] = [node, half];
+			}
+		}
+		else switch (this.#side){
+			case BEFORE_OPEN:
+				[parent, before, after] = [node.parentNode, node.previousSibling, node];
+				break;
+			case AFTER_OPEN:
+				[parent, before, after] = [node, null, node.firstChild];
+				break;
+			case BEFORE_CLOSE:
+				[parent, before, after] = [node, node.lastChild, null];
+				break;
+			case AFTER_CLOSE:
+				[parent, before, after] = [node.parentNode, node, node.nextSibling];
+				break;
+		}
+		while (parent !== root){
+			if (before && after){
+				const half = parent.cloneNode(false);
+				half.removeAttribute?.("id");
+				for (let n = after, next; n; n = next){
+					next = n.nextSibling;
+					half.append(n);
+				}
+				parent.after(half);
+				[before, after] = [parent, half];
+			}
+			// at end of parent
+			else if (before)
+				[before, after] = [parent, parent.nextSibling];
+			// at start of parent (or it is empty)
+			else [before, after] = [parent.previousSibling, parent];
+			parent = parent.parentNode;
+		}
+		return [
+			before ? new Boundary(before, AFTER_CLOSE) : new Boundary(root, AFTER_OPEN),
+			after ? new Boundary(after, BEFORE_OPEN) : new Boundary(root, BEFORE_CLOSE)
+		];
+	}
+}
+
+/** Similar to the builtin `TreeWalker` interface, but walks over node boundaries inside a root
+ * node. The boundaries visited can be filtered by their side and by node, including rejecting a
+ * node to skip its descendants. For example, to visit the opening boundary of each element inside
+ * `main`, skipping over any `<svg>` content:
+ * 
+ * ```js
+ * const walker = new BoundaryWalker(main, {
+ * 	sides: BoundaryFlags.FILTER_OPEN,
+ * 	whatToShow: NodeFilter.SHOW_ELEMENT,
+ * 	filter: node => node.nodeName == "svg" ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+ * });
+ * let b;
+ * while (b = walker.next())
+ * 	console.log(b.node, b.side);
+ * ```
+ * 
+ * The walker includes the root's own four boundaries. It begins at the root's
+ * {@link BoundaryFlags.BEFORE_OPEN|BEFORE_OPEN} boundary, which is not itself visited.
+ */
+class BoundaryWalker{
+	#root;
+	#options;
+	#current;
+	/** Create a new walker
+	 * @param {Node} root node to walk over; traversal will not leave the root's boundaries
+	 * @param {TraversalOptions} [options] filters for which boundaries to visit; `root` is ignored
+	 */
+	constructor(root, options={}){
+		if (!is_node(root))
+			throw TypeError("expected Node for root");
+		this.#root = root;
+		this.#options = {...options, root};
+		this.#current = new Boundary(root, BEFORE_OPEN);
+	}
+	/** Root node the walker is limited to
+	 * @type {Node}
+	 */
+	get root(){ return this.#root; }
+	/** Bitmask of {@link BoundaryFlags} giving which sides are visited
+	 * @type {number}
+	 */
+	get sides(){ return this.#options.sides ?? FILTER_ALL; }
+	/** Bitmask of `NodeFilter.SHOW_*` constants giving which node types are visited
+	 * @type {number}
+	 */
+	get whatToShow(){ return this.#options.whatToShow ?? SHOW_ALL; }
+	/** Filter used for visiting nodes, or `null` if there is none
+	 * @type {?(function|Object)}
+	 */
+	get filter(){ return this.#options.filter ?? null; }
+	/** Boundary the walker is currently positioned at. Traversal continues from this boundary, so
+	 * you may assign a new position, or modify it directly. Note that the walker modifies it
+	 * as it traverses; [clone]{@link Boundary#clone} it if you need a copy.
+	 * @type {Boundary}
+	 */
+	get current(){ return this.#current; }
+	set current(b){
+		if (!(b instanceof Boundary))
+			throw TypeError("expected Boundary for current");
+		this.#current = b;
+	}
+	/** move current with a traversal method, reverting if traversal ended
+	 * @private
+	 */
+	#move(method, options){
+		const b = this.#current.clone()[method](options);
+		if (!b || b.isNull())
+			return null;
+		this.#current.set(b);
+		return this.#current;
+	}
+	/** Traverse to the next boundary that passes the filters
+	 * @see {@link Boundary#next}
+	 * @returns {?Boundary} the updated {@link BoundaryWalker#current|current} boundary, or
+	 * 	`null` if there are no more boundaries in the root (current is left unchanged)
+	 */
+	next(){
+		return this.#move("next", this.#options);
+	}
+	/** Traverse to the previous boundary that passes the filters
+	 * @see {@link Boundary#previous}
+	 * @returns {?Boundary} the updated {@link BoundaryWalker#current|current} boundary, or
+	 * 	`null` if there are no more boundaries in the root (current is left unchanged)
+	 */
+	previous(){
+		return this.#move("previous", this.#options);
+	}
+	/** Traverse to the opening boundary of the next node in document order, like
+	 * `TreeWalker.nextNode`. The `sides` filter is ignored.
+	 * @returns {?Boundary} the updated {@link BoundaryWalker#current|current} boundary, with side
+	 * 	{@link BoundaryFlags.BEFORE_OPEN|BEFORE_OPEN}; or `null` if there are no more nodes
+	 */
+	nextNode(){
+		return this.#move("next", {...this.#options, sides: BEFORE_OPEN});
+	}
+	/** Traverse to the opening boundary of the previous node in document order, like
+	 * `TreeWalker.previousNode`. The `sides` filter is ignored.
+	 * @returns {?Boundary} the updated {@link BoundaryWalker#current|current} boundary, with side
+	 * 	{@link BoundaryFlags.BEFORE_OPEN|BEFORE_OPEN}; or `null` if there are no more nodes
+	 */
+	previousNode(){
+		return this.#move("previous", {...this.#options, sides: BEFORE_OPEN});
+	}
 }
 
 /** Similar to builtin Range or StaticRange interfaces, but encodes the start/end of the range using
@@ -557,6 +1464,28 @@ class Boundary{
 class BoundaryRange{
 	#start;
 	#end;
+	#backward = false;
+	#observer = null;
+	/** `how` for {@link BoundaryRange#compareBoundaryPoints|compareBoundaryPoints}: compare start
+	 * to the other range's start. Same as `Range.START_TO_START`
+	 * @type {number}
+	 */
+	static START_TO_START = 0;
+	/** `how` for {@link BoundaryRange#compareBoundaryPoints|compareBoundaryPoints}: compare end to
+	 * the other range's start. Same as `Range.START_TO_END`
+	 * @type {number}
+	 */
+	static START_TO_END = 1;
+	/** `how` for {@link BoundaryRange#compareBoundaryPoints|compareBoundaryPoints}: compare end to
+	 * the other range's end. Same as `Range.END_TO_END`
+	 * @type {number}
+	 */
+	static END_TO_END = 2;
+	/** `how` for {@link BoundaryRange#compareBoundaryPoints|compareBoundaryPoints}: compare start
+	 * to the other range's end. Same as `Range.END_TO_START`
+	 * @type {number}
+	 */
+	static END_TO_START = 3;
 	/** Create a new range; takes up to two arguments:
 	 * @param {Range|StaticRange|BoundaryRange|Boundary[]} args One of these formats:
 	 * - *empty*: uninitialized range; you should set start/end manually before using the range
@@ -580,6 +1509,7 @@ class BoundaryRange{
 				if (o instanceof BoundaryRange){
 					this.#start.set(o.start);
 					this.#end.set(o.end);
+					this.#backward = o.#backward;
 				}
 				// Range/StaticRange
 				else{
@@ -601,6 +1531,7 @@ class BoundaryRange{
 	set start(b){
 		if (!(b instanceof Boundary))
 			throw Error("expected Boundary for start");
+		this.#start = b;
 	}
 	/** Update {@link BoundaryRange#start|start} anchor; equivalent to `this.start.set()`
 	 * @param args forwarded to {@link Boundary#set}
@@ -618,6 +1549,7 @@ class BoundaryRange{
 	set end(b){
 		if (!(b instanceof Boundary))
 			throw Error("expected Boundary for end");
+		this.#end = b;
 	}
 	/** Update {@link BoundaryRange#end|end} anchor; equivalent to `this.end.set()`
 	 * @param args forwarded to {@link Boundary#set}
@@ -628,6 +1560,69 @@ class BoundaryRange{
 		this.#end.set(...args);
 		return this;
 	}
+	/** Set the {@link BoundaryRange#start|start} anchor before a node, as with
+	 * `Range.setStartBefore`. Unlike `Range`, the end is not moved if it is now out of order.
+	 * @param {Node} node the node to start before
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	setStartBefore(node){
+		this.#start.set(node, BEFORE_OPEN);
+		return this;
+	}
+	/** Set the {@link BoundaryRange#start|start} anchor after a node, as with
+	 * `Range.setStartAfter`. Unlike `Range`, the end is not moved if it is now out of order.
+	 * @param {Node} node the node to start after
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	setStartAfter(node){
+		this.#start.set(node, AFTER_CLOSE);
+		return this;
+	}
+	/** Set the {@link BoundaryRange#end|end} anchor before a node, as with `Range.setEndBefore`.
+	 * Unlike `Range`, the start is not moved if it is now out of order.
+	 * @param {Node} node the node to end before
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	setEndBefore(node){
+		this.#end.set(node, BEFORE_OPEN);
+		return this;
+	}
+	/** Set the {@link BoundaryRange#end|end} anchor after a node, as with `Range.setEndAfter`.
+	 * Unlike `Range`, the start is not moved if it is now out of order.
+	 * @param {Node} node the node to end after
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	setEndAfter(node){
+		this.#end.set(node, AFTER_CLOSE);
+		return this;
+	}
+	/** Direction of the range when used as a selection. When `true`, the selection's anchor (where
+	 * the user started selecting) is at {@link BoundaryRange#end|end} and its focus at
+	 * {@link BoundaryRange#start|start}. This does not affect any other range operations.
+	 * @see {@link BoundaryRange.fromSelection|fromSelection} and
+	 * 	{@link BoundaryRange#applyToSelection|applyToSelection}
+	 * @type {boolean}
+	 */
+	get backward(){ return this.#backward; }
+	set backward(backward){ this.#backward = !!backward; }
+	/** Whether the start/end boundaries use the composed tree; setting this updates both. This
+	 * allows ranges that span shadow trees to be compared and iterated.
+	 * @see {@link Boundary#composed}
+	 * @type {boolean}
+	 */
+	get composed(){ return this.#start.composed && this.#end.composed; }
+	set composed(composed){
+		this.#start.composed = this.#end.composed = composed;
+	}
+	/** Whether the range is in {@link Boundary.strict|strict} mode, which is the case if either
+	 * boundary is; setting this updates both.
+	 * @see {@link Boundary#strict}
+	 * @type {boolean}
+	 */
+	get strict(){ return this.#start.strict || this.#end.strict; }
+	set strict(strict){
+		this.#start.strict = this.#end.strict = strict;
+	}
 
 	/** Make a copy of this range object
 	 * @returns {BoundaryRange} cloned range
@@ -637,56 +1632,25 @@ class BoundaryRange{
 	}
 	/** Convert to `Range` interface. Range's end is set last, so if the resulting range's
 	 * anchors would be out of order, it would get collapsed to the end anchor. Boundaries inside
-	 * a CharacterData node are treated as outside for conversion purposes. If the current BoundaryRange
-	 * {@link BoundaryRange#isNull|isNull}, an uninitialized Range will be returned.
+	 * a CharacterData node are treated as outside for conversion purposes, except for
+	 * {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundaries which keep their character offset.
+	 * If the current BoundaryRange {@link BoundaryRange#isNull|isNull}, an error will be thrown.
 	 * @returns {Range}
 	 */
 	toRange(){
-		const r = new Range();
 		if (this.isNull())
 			throw Error("cannot create Range from null BoundaryRange")
-		// start anchor
-		const sn = this.#start.node;
-		let sb = this.#start.side;
-		if (sn instanceof CharacterData)
-			sb = sb == AFTER_OPEN ? BEFORE_OPEN : AFTER_CLOSE;
-		switch (sb){
-			case BEFORE_OPEN:
-				r.setStartBefore(sn);
-				break;
-			case AFTER_OPEN:
-				r.setStart(sn, 0);
-				break;
-			case BEFORE_CLOSE:
-				r.setStart(sn, sn.childNodes.length);
-				break;
-			case AFTER_CLOSE:
-				r.setStartAfter(sn);
-				break;
-		}
-		// end anchor
-		const en = this.#end.node;
-		let eb = this.#end.side;
-		if (en instanceof CharacterData)
-			eb = eb == AFTER_OPEN ? BEFORE_OPEN : AFTER_CLOSE;
-		switch (eb){
-			case BEFORE_OPEN:
-				r.setEndBefore(en);
-				break;
-			case AFTER_OPEN:
-				r.setEnd(en, 0);
-				break;
-			case BEFORE_CLOSE:
-				r.setEnd(en, en.childNodes.length);
-				break;
-			case AFTER_CLOSE:
-				r.setEndAfter(en);
-				break;
-		}
+		this.#strict_order();
+		const sa = this.#start.toAnchor();
+		const ea = this.#end.toAnchor();
+		const r = (sa.node.ownerDocument ?? sa.node).createRange();
+		r.setStart(sa.node, sa.offset);
+		r.setEnd(ea.node, ea.offset);
 		return r;
 	}
 	/** Convert to `StaticRange` interface. Boundaries inside a CharacterData node are treated as
-	 *  outside for conversion purposes. If the current BoundaryRange
+	 *  outside for conversion purposes, except for {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}
+	 *  boundaries which keep their character offset. If the current BoundaryRange
 	 *  {@link BoundaryRange#isNull|isNull}, an error will be thrown since a `StaticRange` cannot be
 	 *  created uninitialized.
 	 * @returns {StaticRange}
@@ -694,9 +1658,13 @@ class BoundaryRange{
 	toStaticRange(){
 		if (this.isNull())
 			throw Error("cannot create StaticRange from null BoundaryRange")
+		this.#strict_order();
 		// Range may have side effects from being unordered, so can't reuse toRange for this
 		const sa = this.#start.toAnchor();
 		const ea = this.#end.toAnchor();
+		const {StaticRange} = dom_for(sa.node);
+		if (!StaticRange)
+			throw Error("StaticRange is not available; set Boundary.dom to provide one");
 		return new StaticRange({
 			startContainer: sa.node,
 			startOffset: sa.offset,
@@ -705,6 +1673,158 @@ class BoundaryRange{
 		});
 	}
 
+	/** Create ranges from a `Selection`. Unlike getting a `Range` from the selection, this
+	 * preserves the selection's direction in {@link BoundaryRange#backward|backward}.
+	 * @param {Selection} selection the selection to convert
+	 * @param {boolean} [all=false] Some browsers (e.g. Firefox table selection) allow a selection
+	 * 	with multiple ranges. Set this to `true` to return an array with a range for each;
+	 * 	otherwise only the first range is returned.
+	 * @returns {?BoundaryRange|BoundaryRange[]} the converted range, or `null` if the selection is
+	 * 	empty; if `all` is set, an array of converted ranges
+	 */
+	static fromSelection(selection, all=false){
+		const ranges = [];
+		for (let i = all ? selection.rangeCount : Math.min(selection.rangeCount, 1); i--;){
+			const r = selection.getRangeAt(i);
+			const br = new BoundaryRange(r);
+			// the anchor/focus belong to one range; it is backward if focus is at range's start
+			br.#backward = !r.collapsed &&
+				selection.focusNode === r.startContainer && selection.focusOffset === r.startOffset &&
+				selection.anchorNode === r.endContainer && selection.anchorOffset === r.endOffset;
+			ranges.unshift(br);
+		}
+		return all ? ranges : ranges[0] ?? null;
+	}
+	/** Set a `Selection` to this range. CharacterData nodes are handled as with
+	 * {@link Boundary#toAnchor}, so a {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundary keeps
+	 * its character offset.
+	 * 
+	 * To restore a multi-range selection, call `selection.removeAllRanges()` and then apply each
+	 * range with the `add` option.
+	 * @param {Selection} selection the selection to modify
+	 * @param {Object} [options]
+	 * @param {boolean} [options.backward] whether the selection's focus should be at the start of
+	 * 	the range; defaults to {@link BoundaryRange#backward|backward}
+	 * @param {boolean} [options.add=false] add the range to the selection's existing ranges,
+	 * 	rather than replacing them. Direction cannot be set for added ranges
+	 * @returns {BoundaryRange} `this`
+	 */
+	applyToSelection(selection, {backward=this.#backward, add=false}={}){
+		if (this.isNull())
+			throw Error("cannot set Selection from null BoundaryRange");
+		if (add){
+			selection.addRange(this.toRange());
+			return this;
+		}
+		let anchor = this.#start.toAnchor();
+		let focus = this.#end.toAnchor();
+		if (backward)
+			[anchor, focus] = [focus, anchor];
+		selection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+		return this;
+	}
+	/** Serialize to a portable JSON object, which can be restored with
+	 * {@link BoundaryRange.fromJSON|fromJSON}. This is useful for persisting a saved selection.
+	 * @param {Node} [root] node the paths are relative to; see {@link Boundary#toJSON}
+	 * @param {boolean} [hints=false] include node name and id hints; see {@link Boundary#toJSON}
+	 * @returns {Object} plain object with `start` and `end` members, as given by
+	 * 	{@link Boundary#toJSON}
+	 */
+	toJSON(root, hints=false){
+		return {
+			start: this.#start.toJSON(root, hints),
+			end: this.#end.toJSON(root, hints)
+		};
+	}
+	/** Restore a range that was serialized with {@link BoundaryRange#toJSON|toJSON}
+	 * @param {Object|string} json the serialized object, or its JSON string
+	 * @param {Node} root node the paths are relative to
+	 * @returns {BoundaryRange} the restored range
+	 * @throws if either path cannot be resolved inside `root`
+	 */
+	static fromJSON(json, root){
+		if (typeof json == "string")
+			json = JSON.parse(json);
+		return new BoundaryRange(
+			Boundary.fromJSON(json.start, root),
+			Boundary.fromJSON(json.end, root)
+		);
+	}
+	/** Convert to a span of linear positions inside `root`; see {@link Boundary#toPosition}
+	 * @param {Node} root node whose content positions are counted from
+	 * @param {Object} [options] options for {@link Boundary#toPosition}
+	 * @returns {Object} plain object with `start` and `end` positions; these are not reordered
+	 * 	if the range is reversed
+	 * @throws if either boundary is null or not inside `root`
+	 */
+	toSpan(root, options){
+		return {
+			start: this.#start.toPosition(root, options),
+			end: this.#end.toPosition(root, options)
+		};
+	}
+	/** Restore a range from a span given by {@link BoundaryRange#toSpan|toSpan}
+	 * @param {Node} root node whose content positions are counted from
+	 * @param {Object} span object with `start` and `end` positions
+	 * @param {Object} [options] options for {@link Boundary.fromPosition}
+	 * @returns {BoundaryRange} the restored range
+	 * @throws if either position is outside `root`
+	 */
+	static fromSpan(root, span, options){
+		return new BoundaryRange(
+			Boundary.fromPosition(root, span.start, options),
+			Boundary.fromPosition(root, span.end, options)
+		);
+	}
+	/** Translate the range to a structurally identical tree; see {@link Boundary#mapTo}
+	 * @param {Node} sourceRoot root of the tree the range is in
+	 * @param {Node} targetRoot corresponding root of the tree to map to
+	 * @param {Object} [options] options for {@link Boundary#mapTo}
+	 * @returns {BoundaryRange} a new range inside `targetRoot`, with the same
+	 * 	{@link BoundaryRange#backward|backward} direction
+	 * @throws if either boundary can't be mapped
+	 */
+	mapTo(sourceRoot, targetRoot, options){
+		const range = new BoundaryRange(
+			this.#start.mapTo(sourceRoot, targetRoot, options),
+			this.#end.mapTo(sourceRoot, targetRoot, options)
+		);
+		range.#backward = this.#backward;
+		return range;
+	}
+	/** throw in strict mode if the range is reversed
+	 * @private
+	 */
+	#strict_order(){
+		if (this.strict && this.#start.compare(this.#end) > 0)
+			throw Error("BoundaryRange start comes after its end");
+	}
+	/** Check the range for problems. This includes the diagnostics from
+	 * {@link Boundary#validate|validating} each of its boundaries, as well as problems with the
+	 * range as a whole, such as a start that comes after the end.
+	 * @returns {BoundaryDiagnostic[]} the problems found, or an empty array if there are none
+	 */
+	validate(){
+		const issues = [];
+		for (const [name, b] of [["start", this.#start], ["end", this.#end]]){
+			for (const d of b.validate())
+				issues.push({...d, boundary: name});
+		}
+		const s = this.#start.node, e = this.#end.node;
+		if (s && e){
+			const issue = (code, severity, message) => issues.push({code, severity, message});
+			if ((s.ownerDocument ?? s) !== (e.ownerDocument ?? e))
+				issue("cross-document", "error", "BoundaryRange start and end are in different documents");
+			else{
+				const order = this.#start.compare(this.#end);
+				if (order === null)
+					issue("disconnected", "error", "BoundaryRange start and end are in different trees");
+				else if (order > 0)
+					issue("reversed", "warning", "BoundaryRange start comes after its end");
+			}
+		}
+		return issues;
+	}
 	/** Check if the range has been fully set, e.g. neither boundary is null
 	 * @see {@link Boundary#isNull}
 	 * @returns {boolean} true if range is not set, or is only partially set
@@ -727,6 +1847,18 @@ class BoundaryRange{
 	get collapsed(){
 		return this.#start.isEqual(this.#end) || this.#start.isAdjacent(this.#end);
 	}
+	/** The deepest node containing both the start and end, as with
+	 * `Range.commonAncestorContainer`. A boundary is contained by its node when it is on an inner
+	 * side, including a {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} inside CharacterData, and by
+	 * its node's parent otherwise. This is `null` if the range is null or disconnected.
+	 * @type {?Node}
+	 */
+	get commonAncestorContainer(){
+		if (this.isNull())
+			return null;
+		const tree = this.#start.composed || this.#end.composed ? FLAT_TREE : LIGHT_TREE;
+		return common_container(this.#start, this.#end, tree);
+	}
 	/** Collapse the range to one of the boundary points. After calling this method, the start
 	 * anchor will equal the end: `this.start.isEqual(this.end)` (see {@link Boundary#isEqual}). If
 	 * you would like to instead collapse with the start/end anchors *adjacent* (see
@@ -834,7 +1966,875 @@ class BoundaryRange{
 		return this;
 	}
 
+	// Content operations
+	/** Get start/end in DOM order
+	 * @private
+	 */
+	#ordered(){
+		if (this.isNull())
+			throw Error("cannot operate on contents of null BoundaryRange");
+		const order = this.#start.compare(this.#end);
+		if (order === null)
+			throw Error("BoundaryRange start and end are disconnected");
+		return order > 0 ? [this.#end, this.#start] : [this.#start, this.#end];
+	}
+	/** Get start/end as Range style anchors, in DOM order
+	 * @private
+	 */
+	#anchors(){
+		return this.#ordered().map(b => b.toAnchor());
+	}
+	/** Expand the range outward so that it begins and ends on text unit boundaries; the start
+	 * moves to the start of the unit it is inside, and the end to the end of the unit it is
+	 * inside. If the range is collapsed, it is expanded to the unit following it (or preceding
+	 * it, at the end of the text). For example, to select the word at a caret, as with a
+	 * double-click:
+	 * 
+	 * ```js
+	 * BoundaryRange.fromSelection(sel).expandTo("word").applyToSelection(sel);
+	 * ```
+	 * 
+	 * Unlike {@link Boundary#move|move}, whitespace and punctuation between words count as
+	 * their own `"word"` units here.
+	 * @param {string} unit one of `"character"`, `"grapheme"`, `"word"`, or `"sentence"`
+	 * @param {TextUnitOptions} [options] which text to consider
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	expandTo(unit, {blocks=false, root=null, locale}={}){
+		const collapsed = this.collapsed;
+		const [s, e] = this.#ordered();
+		const tree = s.composed || e.composed ? FLAT_TREE : LIGHT_TREE;
+		const block = block_filter(blocks);
+		root ??= s.node.getRootNode({composed: tree === FLAT_TREE});
+		// the unit containing the text following/preceding a position
+		const unit_at = ([run, index], after) => {
+			const segs = text_segments(run.text, unit, locale);
+			return segs.find(([a, b]) => after ? a <= index && index < b : a < index && index <= b)
+				?? segs[after ? segs.length-1 : 0];
+		};
+		for (const scope of text_scopes(common_container(s, e, tree), root, block, tree)){
+			const last = scope === root;
+			const runs = text_runs(scope, tree, block);
+			let sp = text_position(runs, s, true);
+			let ep = collapsed ? sp : text_position(runs, e, false);
+			// the nearest text may be outside the scope
+			if (!last && (!sp || !ep))
+				continue;
+			sp ??= text_position(runs, s, false);
+			ep = collapsed ? sp : ep ?? text_position(runs, e, true);
+			if (!sp || !ep)
+				return this;
+			const su = unit_at(sp, sp[1] < sp[0].text.length);
+			const eu = collapsed ? su : unit_at(ep, !ep[1]);
+			if (su){
+				const {node, offset} = text_anchor(sp[0], su[0], false);
+				s.set(node, offset, POSITION_BEFORE);
+			}
+			if (eu){
+				const {node, offset} = text_anchor(ep[0], eu[1], true);
+				e.set(node, offset, POSITION_BEFORE);
+			}
+			return this;
+		}
+	}
+	/** Expand the range to the nearest node enclosing it that matches `target`, searching
+	 * upward from the node that contains both boundaries. For example, to select a paragraph with
+	 * a triple-click:
+	 * 
+	 * ```js
+	 * range.expand("block").applyToSelection(sel);
+	 * ```
+	 * 
+	 * If no enclosing node matches, the range is unchanged.
+	 * @param {string|function} target what to expand to; one of:
+	 * - `"block"`: a block element, as for the `blocks` option of {@link TextUnitOptions}
+	 * - `"element"`: any element
+	 * - a selector string the element must match
+	 * - a function that is passed each enclosing node, returning true if it matches
+	 * @param {Object} [options]
+	 * @param {boolean} [options.contents=true] select the contents of the matching node, as with
+	 * 	{@link BoundaryRange#selectNodeContents|selectNodeContents}; if false, select the node itself,
+	 * 	as with {@link BoundaryRange#selectNode|selectNode}
+	 * @param {?Node} [options.root=null] don't search beyond this node; `root` itself can match
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	expand(target, {contents=true, root=null}={}){
+		let match;
+		if (target == "block")
+			match = block_filter(true);
+		else if (target == "element")
+			match = n => n.nodeType == TYPE_ELEMENT;
+		else if (typeof target == "string")
+			match = n => n.nodeType == TYPE_ELEMENT && n.matches(target);
+		else if (typeof target == "function")
+			match = target;
+		else throw TypeError("expected \"block\", \"element\", a selector, or a function");
+		const [s, e] = this.#ordered();
+		const tree = s.composed || e.composed ? FLAT_TREE : LIGHT_TREE;
+		for (let n = common_container(s, e, tree); n; n = tree.parent(n)){
+			if (match(n))
+				return contents ? this.selectNodeContents(n) : this.selectNode(n);
+			if (n === root)
+				break;
+		}
+		return this;
+	}
+	/** Shrink the range inward, past content that isn't visible, until it begins and ends at
+	 * real content. The start moves forward and the end moves backward, crossing in and out of
+	 * elements, and skipping over:
+	 * - comments, processing instructions, and doctypes
+	 * - whitespace, if `whitespace` is set; this includes leading/trailing whitespace of text
+	 *   that has other content
+	 * - elements without any content, if `emptyElements` is set
+	 * 
+	 * Void elements like `<br>` and `<img>`, and replaced elements like `<svg>` and `<video>`, are
+	 * content even though they have no text. For example, to trim a selection before applying a
+	 * link:
+	 * 
+	 * ```html
+	 * <p>[ <b>linked</b> text <!-- note --> ]</p>
+	 * <p> <b>[linked</b> text] <!-- note --> </p>
+	 * ```
+	 * 
+	 * If the range has no real content, it is collapsed to its start.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.whitespace=true] skip whitespace; only ASCII whitespace is
+	 * 	skipped, so non-breaking spaces count as content
+	 * @param {boolean} [options.emptyElements=true] skip elements with no content; if false, they
+	 * 	count as content
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	shrink({whitespace=true, emptyElements=true}={}){
+		const [s, e] = this.#ordered();
+		const tree = s.composed || e.composed ? FLAT_TREE : LIGHT_TREE;
+		const text = n => n.nodeType == TYPE_TEXT || n.nodeType == TYPE_CDATA_SECTION;
+		const atomic = n => VOID_ELEMENTS.has(n.localName) || REPLACED_ELEMENTS.has(n.localName);
+		const visible = whitespace ? /[^\t\n\f\r ]/g : /[^]/g;
+		const empty = n => {
+			if (text(n))
+				return !n.data.match(visible);
+			if (n.nodeType != TYPE_ELEMENT)
+				return true;
+			if (atomic(n))
+				return false;
+			for (let c = tree.first(n); c; c = tree.next(c))
+				if (!empty(c))
+					return false;
+			return true;
+		};
+		// index of first or last content character in data[from, to)
+		const content = (data, from, to, forward) => {
+			visible.lastIndex = 0;
+			const part = data.slice(from, to);
+			if (forward){
+				const m = visible.exec(part);
+				return m ? from + m.index : -1;
+			}
+			let last = -1;
+			for (let m; (m = visible.exec(part));)
+				last = m.index;
+			return last < 0 ? -1 : from + last + 1;
+		};
+		// move b until reaching content, or passing limit; returns null if there is no content
+		const advance = (b, limit, forward) => {
+			const enter = forward ? BEFORE_OPEN : AFTER_CLOSE;
+			const leave = forward ? AFTER_CLOSE : BEFORE_OPEN;
+			const sign = forward ? 1 : -1;
+			while (b.compare(limit)*sign < 0){
+				const n = b.node;
+				if (b.side != leave && is_character_data(n)){
+					if (text(n)){
+						const offset = b.side == TEXT_OFFSET ? Math.min(b.offset, n.length) :
+							b.side & FILTER_OPEN ? 0 : n.length;
+						const i = forward ?
+							content(n.data, offset, n.length, true) :
+							content(n.data, 0, offset, false);
+						if (i >= 0){
+							b.set(n, i, POSITION_BEFORE);
+							return b.compare(limit)*sign < 0 ? b : null;
+						}
+					}
+					b.set(n, leave);
+					continue;
+				}
+				if (b.side == enter){
+					if (n.nodeType == TYPE_DOCUMENT_TYPE){
+						b.set(n, leave);
+						continue;
+					}
+					if (n.nodeType == TYPE_ELEMENT){
+						if (atomic(n))
+							return b;
+						if (empty(n)){
+							if (!emptyElements)
+								return b;
+							b.set(n, leave);
+							continue;
+						}
+					}
+				}
+				forward ? b.next() : b.previous();
+				if (b.isNull())
+					return null;
+			}
+			return null;
+		};
+		const start = advance(s.clone(), e, true);
+		if (!start){
+			e.set(s);
+			return this;
+		}
+		const end = advance(e.clone(), start, false);
+		s.set(start);
+		e.set(end);
+		return this;
+	}
+	/** Generator that yields each boundary strictly between the start and end of the range, in
+	 * DOM order, as given by {@link Boundary#next}. The range's own boundaries are not modified,
+	 * and out-of-order anchors are iterated from the earlier to the later anchor.
+	 * @param {TraversalOptions} [options] filters for which boundaries to yield
+	 * @yields {Boundary} The same Boundary object is modified and yielded for each iteration. If
+	 * 	you need a copy for each iteration, [clone]{@link Boundary#clone} the emitted Boundary.
+	 */
+	*boundaries(options){
+		const [s, e] = this.#ordered();
+		const b = s.clone();
+		while (b.next(options) && !b.isNull() && b.compare(e) < 0)
+			yield b;
+	}
+	/** Generator that yields each node inside the range, in the manner of
+	 * {@link Boundary#nextNodes}. Each node is classified by how it is contained in the range,
+	 * which follows the DOM spec's definition of contained and partially contained. For example:
+	 * 
+	 * ```html
+	 * <p>a<b>b[c</b>d<i>e]f</i></p>
+	 * ```
+	 * 
+	 * With the range given by brackets, yields `"bc"` and `b` as
+	 * {@link BoundaryFlags.PARTIAL_START|PARTIAL_START}, `"d"` as
+	 * {@link BoundaryFlags.CONTAINED|CONTAINED}, and `i` and `"ef"` as
+	 * {@link BoundaryFlags.PARTIAL_END|PARTIAL_END}. Ancestors containing the whole range (`p`)
+	 * are not yielded. The range's own boundaries are not modified.
+	 * @param {TraversalOptions} [options] filters for which nodes to yield; `sides` is ignored
+	 * @yields {Object} An object with the following members:
+	 * - `node` (`Node`): the node inside the range
+	 * - `containment` (`number`): one of {@link BoundaryFlags.CONTAINED|CONTAINED},
+	 *   {@link BoundaryFlags.PARTIAL_START|PARTIAL_START}, or
+	 *   {@link BoundaryFlags.PARTIAL_END|PARTIAL_END}
+	 */
+	*nodes(options={}){
+		const [s, e] = this.#ordered();
+		const b = s.clone();
+		for (const _ of b.nextNodes(true, {...options, root: null})){
+			if (b.compare(e) >= 0)
+				return;
+			const node = b.node;
+			let containment;
+			// an unseen parent is only crossed at its close when we started inside it
+			if (b.side == BEFORE_CLOSE)
+				containment = PARTIAL_START;
+			else containment = e.compareNode(node) == POSITION_INSIDE ? PARTIAL_END : CONTAINED;
+			yield {node, containment};
+		}
+	}
+	// Text content
+	/** Gather the range's text, and where each piece of it came from
+	 * @private
+	 */
+	#text_map({blockSeparator="", skip=null}={}){
+		const [s, e] = this.#ordered();
+		if (typeof skip == "string"){
+			const selector = skip;
+			skip = n => n.nodeType == TYPE_ELEMENT && n.matches(selector);
+		}
+		const filter = skip && (n => skip(n) ? NODE_REJECT : NODE_ACCEPT);
+		const block = block_filter(true);
+		// pieces are {node, index, offset, length}: text from index is node's data from offset
+		const map = {text: "", pieces: [], composed: s.composed};
+		let separate = false;
+		const add = (node, from, to) => {
+			if (from >= to)
+				return;
+			if (separate && map.text)
+				map.text += blockSeparator;
+			separate = false;
+			map.pieces.push({node, index: map.text.length, offset: from, length: to - from});
+			map.text += node.data.substring(from, to);
+		};
+		const is_text = n => n.nodeType == TYPE_TEXT || n.nodeType == TYPE_CDATA_SECTION;
+		// clip text node to the end boundary
+		const end = n => e.node === n ? inner_offset(e) : n.length;
+		// the filter only rejects nodes that are entered, so find any skipped node that the range
+		// starts inside of; its content is ignored until the range leaves it
+		const tree = s.composed ? FLAT_TREE : LIGHT_TREE;
+		let hidden = null;
+		if (skip){
+			for (let n = s.side & FILTER_OUTSIDE ? tree.parent(s.node) : s.node; n; n = tree.parent(n))
+				if (skip(n))
+					hidden = n;
+		}
+		if (!hidden && is_text(s.node) && s.side & FILTER_INSIDE)
+			add(s.node, inner_offset(s), end(s.node));
+		const cross = b => {
+			const n = b.node;
+			if (hidden){
+				if (n !== hidden && tree.contains(hidden, n))
+					return;
+				hidden = null;
+			}
+			if (b.side == BEFORE_OPEN && is_text(n))
+				add(n, 0, end(n));
+			else if (b.side & FILTER_OUTSIDE && n.nodeType == TYPE_ELEMENT &&
+				(block(n) || n.localName == "br"))
+				separate = true;
+		};
+		// the start boundary can be crossed itself
+		if (s.compare(e) < 0 && !(filter && filter(s.node) == NODE_REJECT))
+			cross(s);
+		for (const b of this.boundaries({whatToShow: SHOW_ALL, filter}))
+			cross(b);
+		return map;
+	}
+	/** Get the text inside the range. By default this is the same as `Range.toString`, the
+	 * concatenated data of the `Text` nodes inside the range.
+	 * @param {Object} [options]
+	 * @param {string} [options.blockSeparator=""] string to insert between the text of
+	 * 	different block elements, and for `<br>` elements; e.g. `"\n"`
+	 * @param {?(string|function)} [options.skip=null] a CSS selector, or a function that is
+	 * 	passed a node and returns true, for nodes whose text should be skipped, e.g.
+	 * 	`"script, style"`
+	 * @returns {string}
+	 */
+	text(options){
+		return this.#text_map(options).text;
+	}
+	/** Get the text inside the range, as with `Range.toString`; see
+	 * {@link BoundaryRange#text|text}
+	 * @returns {string} the text, or an empty string if the range is null or disconnected
+	 */
+	toString(){
+		if (this.isNull() || this.#start.compare(this.#end) === null)
+			return "";
+		return this.text();
+	}
+	/** Get the boundary for a character index into the range's {@link BoundaryRange#text|text}.
+	 * The boundary is a {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} inside the `Text` node holding
+	 * the character at that index; at the end of the text, it is at the end of the last text node.
+	 * @param {number} index character index
+	 * @param {Object} [options] the same options as for {@link BoundaryRange#text|text}
+	 * @returns {?Boundary} the boundary, or `null` if `index` is outside the text
+	 */
+	boundaryAtTextOffset(index, options){
+		return text_map_boundary(this.#text_map(options), index, true);
+	}
+	/** Search for text inside the range. Matches can span multiple text nodes and inline elements;
+	 * use the `blockSeparator` option to keep matches from crossing blocks.
+	 * 
+	 * ```js
+	 * const matches = range.find(/@\w+/, {blockSeparator: "\n"});
+	 * ```
+	 * @param {string|RegExp} pattern string to search for, or a regular expression; the regular
+	 * 	expression is always searched globally, and empty matches are ignored
+	 * @param {Object} [options] the same options as for {@link BoundaryRange#text|text}
+	 * @returns {BoundaryRange[]} the non-overlapping matches, in DOM order; their boundaries are
+	 * 	{@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET} boundaries
+	 */
+	find(pattern, options){
+		const map = this.#text_map(options);
+		const matches = [];
+		if (typeof pattern == "string"){
+			if (!pattern)
+				return matches;
+			for (let i = map.text.indexOf(pattern); i != -1; i = map.text.indexOf(pattern, i + pattern.length))
+				matches.push([i, i + pattern.length]);
+		}
+		else{
+			const flags = pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g";
+			for (const m of map.text.matchAll(new RegExp(pattern.source, flags)))
+				if (m[0])
+					matches.push([m.index, m.index + m[0].length]);
+		}
+		return matches.map(([a, b]) => new BoundaryRange(
+			text_map_boundary(map, a, true),
+			text_map_boundary(map, b, false)
+		));
+	}
+	// Formatting
+	/** Wrap the inline content of the range in new elements, e.g. to apply bold formatting. Each
+	 * run of consecutive inline nodes inside the range is wrapped in its own element; text is split
+	 * at the start and end of the range, partially selected elements are descended into, and block
+	 * elements are never wrapped, only their contents. For example, with the range given by
+	 * brackets:
+	 * 
+	 * ```html
+	 * <p>a[b<i>c</i></p><p>d]e</p>
+	 * <p>a<strong>b<i>c</i></strong></p><p><strong>d</strong>e</p>
+	 * ```
+	 * 
+	 * Afterwards, the range encloses the same content, including the new elements.
+	 * @param {function} factory called with no arguments to create each wrapping element, e.g.
+	 * 	`() => document.createElement("strong")`
+	 * @param {Object} [options]
+	 * @param {boolean|function} [options.blocks=true] which elements are blocks; see
+	 * 	{@link TextUnitOptions}
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	wrap(factory, {blocks=true}={}){
+		const [s, e] = this.#ordered();
+		const block = block_filter(blocks) ?? (() => false);
+		// split text at the start and end, so they are outside the text nodes
+		const inside = b => b.side & FILTER_INSIDE && is_character_data(b.node);
+		if (inside(s)){
+			const node = s.node, offset = inner_offset(s);
+			if (offset && offset < node.length && node.splitText){
+				// end may be in the half that is split off
+				const end = e.node === node && inside(e) && inner_offset(e);
+				const half = node.splitText(offset);
+				s.set(half, BEFORE_OPEN);
+				if (end !== false)
+					e.set(half, end - offset, POSITION_BEFORE);
+			}
+			else s.set(node, offset ? AFTER_CLOSE : BEFORE_OPEN);
+		}
+		if (inside(e)){
+			const node = e.node, offset = inner_offset(e);
+			if (offset && offset < node.length && node.splitText)
+				node.splitText(offset);
+			e.set(node, offset ? AFTER_CLOSE : BEFORE_OPEN);
+		}
+		// runs of top-most contained inline nodes
+		const runs = [], taken = new Set();
+		for (const {node, containment} of this.nodes()){
+			if (containment != CONTAINED)
+				continue;
+			// descendants of a wrapped node are taken as well, so they are not wrapped again
+			if (taken.has(node.parentNode)){
+				taken.add(node);
+				continue;
+			}
+			if (node.nodeType == TYPE_ELEMENT && block(node))
+				continue;
+			taken.add(node);
+			const run = runs[runs.length-1];
+			if (run && run[run.length-1].nextSibling === node)
+				run.push(node);
+			else runs.push([node]);
+		}
+		for (const run of runs){
+			// whitespace between blocks
+			if (run.every(n => n.nodeType == TYPE_TEXT && !n.data.trim()) &&
+				Array.from(run[0].parentNode.children).some(block))
+				continue;
+			const wrapper = factory();
+			run[0].before(wrapper);
+			wrapper.append(...run);
+			// keep the wrapper inside the range
+			if (s.node === run[0] && s.side == BEFORE_OPEN)
+				s.set(wrapper, BEFORE_OPEN);
+			if (e.node === run[run.length-1] && e.side == AFTER_CLOSE)
+				e.set(wrapper, AFTER_CLOSE);
+		}
+		return this;
+	}
+	/** Remove elements from the content of the range, keeping their children, e.g. to remove bold
+	 * formatting. Matching elements inside the range are removed, and matching elements that are
+	 * partially selected are split at the edges of the range so only the part inside it is removed.
+	 * For example, with the range given by brackets:
+	 * 
+	 * ```html
+	 * <p><b>a[b</b>c<b>d</b></p><p><b>e]f</b></p>
+	 * <p><b>a</b>bcd</p><p>e<b>f</b></p>
+	 * ```
+	 * 
+	 * Afterwards, the range encloses the same content.
+	 * @param {string|function} match a CSS selector, or a function that is passed an element and
+	 * 	returns true if it should be removed
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	unwrap(match){
+		let [s, e] = this.#ordered();
+		const matches = typeof match == "string" ?
+			n => n.nodeType == TYPE_ELEMENT && n.matches(match) :
+			n => n.nodeType == TYPE_ELEMENT && match(n);
+		// outermost matching ancestor of a boundary's position
+		const outermost = b => {
+			let found = null;
+			for (let n = b.side & FILTER_INSIDE ? b.node : b.node.parentNode; n; n = n.parentNode){
+				if (matches(n))
+					found = n;
+			}
+			return found;
+		};
+		// split at the end first, so start's node stays valid; end references the content
+		// following the cut, which is unaffected by the split at the start
+		let m = outermost(e);
+		if (m){
+			const [, after] = e.split(m.parentNode);
+			e.set(after);
+		}
+		if (m = outermost(s)){
+			// end can only be affected if it is directly after m
+			if (e.node === m && e.side == AFTER_CLOSE){
+				if (m.nextSibling)
+					e.set(m.nextSibling, BEFORE_OPEN);
+				else e.set(m.parentNode, BEFORE_CLOSE);
+			}
+			const [, after] = s.split(m.parentNode);
+			s.set(after);
+		}
+		const found = [];
+		for (const {node, containment} of this.nodes()){
+			if (containment == CONTAINED && matches(node))
+				found.push(node);
+		}
+		for (const el of found){
+			// move boundaries referencing el to the equivalent position among its children
+			for (const b of [s, e]){
+				if (b.node !== el)
+					continue;
+				if (b.side & FILTER_OPEN){
+					if (el.firstChild)
+						b.set(el.firstChild, BEFORE_OPEN);
+					else if (el.previousSibling)
+						b.set(el.previousSibling, AFTER_CLOSE);
+					else b.set(el.parentNode, AFTER_OPEN);
+				}
+				else if (el.lastChild)
+					b.set(el.lastChild, AFTER_CLOSE);
+				else if (el.nextSibling)
+					b.set(el.nextSibling, BEFORE_OPEN);
+				else b.set(el.parentNode, BEFORE_CLOSE);
+			}
+			el.replaceWith(...el.childNodes);
+		}
+		return this;
+	}
+	// Markup
+	/** Serialize the range to markup
+	 * @private
+	 */
+	#markup(xml){
+		const [s, e] = this.#ordered();
+		if (!s.compare(e))
+			return "";
+		// same tree as the traversal below
+		const tree = s.composed ? FLAT_TREE : LIGHT_TREE;
+		let out = "";
+		// open elements, and namespace prefixes declared by each (xml only)
+		const stack = [];
+		const open = el => {
+			const scope = stack.length ? stack[stack.length-1].scope : ROOT_SCOPE;
+			const [tag, attrs, decls] = markup_element(el, xml, scope);
+			const empty = xml && !tree.first(el);
+			out += `<${tag}${attrs}${empty ? "/" : ""}>`;
+			if (!empty && (xml || !VOID_ELEMENTS.has(el.localName)))
+				stack.push({el, tag, scope: decls});
+		};
+		const close = el => {
+			if (stack.length && stack[stack.length-1].el === el)
+				out += `</${stack.pop().tag}>`;
+		};
+		// CharacterData, clipped to the start/end
+		const data = (node, from=0) => {
+			const to = e.node === node ? inner_offset(e) : node.length;
+			// only raw if the parent is output as well
+			const parent = stack[stack.length-1]?.el;
+			const raw = !xml && parent === tree.parent(node) && RAW_TEXT_ELEMENTS.has(parent.localName);
+			out += markup_data(node, node.data.substring(from, to), xml, raw);
+		};
+		// re-open partially selected ancestors
+		const ancestors = [];
+		const inside = s.side & FILTER_INSIDE && is_character_data(s.node);
+		let n = s.side & FILTER_INSIDE && !inside ? s.node : tree.parent(s.node);
+		for (; n && n.nodeType == TYPE_ELEMENT && e.compareNode(n, tree === FLAT_TREE) != POSITION_INSIDE; n = tree.parent(n))
+			ancestors.push(n);
+		for (const a of ancestors.reverse())
+			open(a);
+		if (inside)
+			data(s.node, inner_offset(s));
+		// nodes are output when crossing their outer boundaries
+		const cross = b => {
+			const node = b.node;
+			if (node.nodeType == TYPE_ELEMENT){
+				if (b.side == BEFORE_OPEN)
+					open(node);
+				else if (b.side == AFTER_CLOSE)
+					close(node);
+			}
+			else if (b.side == BEFORE_OPEN){
+				if (node.nodeType == TYPE_DOCUMENT_TYPE)
+					out += `<!DOCTYPE ${node.name}>`;
+				else if (is_character_data(node))
+					data(node);
+			}
+		};
+		// the start boundary can be crossed itself
+		if (s.compare(e) < 0)
+			cross(s);
+		for (const b of this.boundaries())
+			cross(b);
+		while (stack.length)
+			out += `</${stack.pop().tag}>`;
+		return out;
+	}
+	/** Serialize the contents of the range to HTML. Partially selected elements are included,
+	 * reopened at the start and closed at the end, so the output is a well-formed fragment. It
+	 * matches serializing the result of {@link BoundaryRange#cloneContents|cloneContents}, without
+	 * cloning any nodes, and out-of-order anchors are serialized from the earlier to the later
+	 * anchor. Unlike `cloneContents`, boundaries inside a CharacterData node are never treated as
+	 * outside; e.g. a range ending at `AFTER_OPEN` of a comment includes an empty comment. For
+	 * example, with the range given by brackets:
+	 * 
+	 * ```html
+	 * <p>a<b>b[c</b>d<i>e]f</i></p>
+	 * ```
+	 * 
+	 * The output is `<b>c</b>d<i>e</i>`. This is useful for `text/html` clipboard data.
+	 * @returns {string} HTML markup
+	 */
+	toHTML(){
+		return this.#markup(false);
+	}
+	/** Serialize the contents of the range to XML. This is the same as
+	 * {@link BoundaryRange#toHTML|toHTML}, except using XML syntax: all elements are closed,
+	 * empty elements are self-closing, and namespace declarations are added where needed.
+	 * @returns {string} XML markup
+	 */
+	toXML(){
+		return this.#markup(true);
+	}
+	/** Collapse to exclusive bounds around a Range style anchor
+	 * @private
+	 */
+	#collapse_anchor(node, offset){
+		this.#start.set(node, offset, POSITION_BEFORE);
+		this.#end.set(node, offset, POSITION_AFTER);
+	}
+	/** Remove the contents of the range from the DOM. This follows the semantics of
+	 * `Range.deleteContents`, but works with out-of-order anchors and with boundaries inside
+	 * CharacterData nodes (see {@link BoundaryFlags.TEXT_OFFSET|TEXT_OFFSET}). Nodes that are
+	 * partially selected are kept, with only their selected descendants or text removed.
+	 * 
+	 * Afterwards, the range is collapsed at the removed region, with start/end being exclusive
+	 * (see {@link BoundaryRange#normalize|normalize}); e.g. start references the content
+	 * preceding the removed region, and end references the content following it.
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	deleteContents(){
+		this.extractContents();
+		return this;
+	}
+	/** Move the contents of the range from the DOM into a `DocumentFragment`. This follows the
+	 * semantics of `Range.extractContents`: partially selected ancestors are split, with a
+	 * shallow clone of each placed in the fragment to hold the extracted descendants. The range
+	 * is collapsed afterwards, as described in {@link BoundaryRange#deleteContents|deleteContents}.
+	 * @returns {DocumentFragment} the extracted contents
+	 */
+	extractContents(){
+		const [s, e] = this.#anchors();
+		const collapse = collapse_point(s.node, s.offset, e.node);
+		const frag = range_contents(s.node, s.offset, e.node, e.offset, false);
+		this.#collapse_anchor(collapse.node, collapse.offset);
+		return frag;
+	}
+	/** Copy the contents of the range into a `DocumentFragment`, without modifying the DOM. This
+	 * follows the semantics of `Range.cloneContents`, with partially selected ancestors shallow
+	 * cloned to hold the copied descendants.
+	 * @returns {DocumentFragment} the copied contents
+	 */
+	cloneContents(){
+		const [s, e] = this.#anchors();
+		return range_contents(s.node, s.offset, e.node, e.offset, true);
+	}
+	/** Move the contents of the range into a new parent node, and insert the parent at the
+	 * range's position. This follows the semantics of `Range.surroundContents`, so will throw if
+	 * the range partially selects a non-Text node. Afterwards, the range will surround
+	 * `newParent`, as with {@link BoundaryRange#selectNode|selectNode}.
+	 * @param {Node} newParent the node to surround the contents with; any existing children are
+	 * 	removed first
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	surroundContents(newParent){
+		const [s, e] = this.#anchors();
+		// partially contained: inclusive ancestors of one anchor's node, but not the other
+		for (const [a, b] of [[s.node, e.node], [e.node, s.node]]){
+			for (let n = a; n && !n.contains(b); n = n.parentNode){
+				if (n.nodeType != TYPE_TEXT)
+					throw Error("BoundaryRange partially selects a non-Text node");
+			}
+		}
+		switch (newParent.nodeType){
+			case TYPE_DOCUMENT:
+			case TYPE_DOCUMENT_TYPE:
+			case TYPE_DOCUMENT_FRAGMENT:
+				throw TypeError("invalid node type for newParent");
+		}
+		const frag = this.extractContents();
+		newParent.replaceChildren();
+		this.#start.insert(newParent);
+		newParent.append(frag);
+		return this.selectNode(newParent);
+	}
+
+	// Observation
+	/** Observe mutations that touch the range's content. This works like a `MutationObserver`,
+	 * but records are filtered down to those that affect content between
+	 * {@link BoundaryRange#start|start} and {@link BoundaryRange#end|end}, and each is
+	 * classified by how it touches the range:
+	 * 
+	 * ```js
+	 * range.observe(entries => {
+	 * 	for (const {record, containment} of entries)
+	 * 		if (containment & BoundaryFlags.CONTAINED)
+	 * 			recount(record.target);
+	 * });
+	 * ```
+	 * 
+	 * A record's position is the gap between the mutated nodes' siblings for `childList`, the
+	 * node's data for `characterData`, or the element's open tag for `attributes`. Records
+	 * whose position is strictly outside the range are ignored; a position that is equal or
+	 * adjacent to one of the range's boundaries counts as touching that edge (see
+	 * {@link Boundary#isAdjacent}). Removing the node a boundary references also touches that
+	 * edge.
+	 * 
+	 * The range's boundaries do not shift with outside mutations, so records are classified
+	 * against the boundaries as they are when the records are delivered. Only one callback can
+	 * observe a range at a time; calling this again replaces the previous observer.
+	 * @param {function} callback called with `(entries, range)` for each batch of records that
+	 * 	touch the range; `entries` is an array of objects with the following members:
+	 * - `record` (`MutationRecord`): the mutation record
+	 * - `containment` (`number`): {@link BoundaryFlags.CONTAINED|CONTAINED} if the mutation is
+	 *   inside the range; otherwise a combination of
+	 *   {@link BoundaryFlags.PARTIAL_START|PARTIAL_START} and
+	 *   {@link BoundaryFlags.PARTIAL_END|PARTIAL_END} for the edges it touches
+	 * @param {Object} [options] options passed to `MutationObserver.observe`; `childList`,
+	 * 	`characterData`, and `attributes` default to true, and `subtree` is always true
+	 * @param {Node} [options.root] node to observe; defaults to the root node of the start
+	 * 	boundary's current node
+	 * @returns {BoundaryRange} modified `this`
+	 * @throws if the range is null and no root is given
+	 */
+	observe(callback, {root, ...options}={}){
+		this.unobserve();
+		if (!root){
+			if (this.#start.isNull())
+				throw Error("cannot observe null BoundaryRange without a root");
+			root = this.#start.node.getRootNode();
+		}
+		this.#observer = new (dom_for(root).MutationObserver)(records => {
+			// a boundary whose node was removed can't be ordered, but still touches its edge
+			const [s, e] = this.#start.compare(this.#end) > 0 ?
+				[this.#end, this.#start] : [this.#start, this.#end];
+			const entries = [];
+			for (const record of records){
+				const containment = mutation_containment(record, s, e);
+				if (containment)
+					entries.push({record, containment});
+			}
+			if (entries.length)
+				callback(entries, this);
+		});
+		this.#observer.observe(root, {
+			childList: true, characterData: true, attributes: true,
+			...options, subtree: true
+		});
+		return this;
+	}
+	/** Stop observing mutations started by {@link BoundaryRange#observe|observe}. Records that
+	 * are pending delivery are discarded.
+	 * @returns {BoundaryRange} modified `this`
+	 */
+	unobserve(){
+		if (this.#observer){
+			this.#observer.disconnect();
+			this.#observer = null;
+		}
+		return this;
+	}
+
 	// Comparison helper methods
+	/** Get start/end in DOM order, without throwing; disconnected anchors are left as is
+	 * @private
+	 */
+	#loosely_ordered(){
+		return this.#start.compare(this.#end) > 0 ?
+			[this.#end, this.#start] : [this.#start, this.#end];
+	}
+	/** Compare a point with the range, as with `Range.comparePoint`. The point can be given as a
+	 * Range style anchor, or as a {@link Boundary}. Positions that are equal or adjacent (see
+	 * {@link Boundary#isAdjacent}) are the same point, so a point at either end of the range is
+	 * inside it. Out-of-order anchors are treated as if they were ordered.
+	 * 
+	 * Unlike `Range`, this does not throw if the point is in a different tree, or the range is
+	 * null or disconnected; `null` is returned instead.
+	 * @param {Node|Boundary} node node of the anchor, or a boundary
+	 * @param {number} [offset] offset of the anchor; a character offset for CharacterData nodes
+	 * @returns {?number} `-1` if the point is before the range, `0` if it is inside, `1` if it is
+	 * 	after, or `null` if the point can't be compared
+	 */
+	comparePoint(node, offset){
+		const point = range_point(node, offset);
+		const [s, e] = this.#loosely_ordered();
+		const start = compare_points(point, s);
+		if (start === null || start < 0)
+			return start;
+		const end = compare_points(point, e);
+		if (end === null)
+			return null;
+		return end > 0 ? 1 : 0;
+	}
+	/** Check if a point is inside the range, as with `Range.isPointInRange`; see
+	 * {@link BoundaryRange#comparePoint|comparePoint}
+	 * @param {Node|Boundary} node node of the anchor, or a boundary
+	 * @param {number} [offset] offset of the anchor
+	 * @returns {boolean} true if the point is inside the range; false if it is outside, or can't be
+	 * 	compared
+	 */
+	isPointInRange(node, offset){
+		return this.comparePoint(node, offset) === 0;
+	}
+	/** Check if any part of a node is inside the range, as with `Range.intersectsNode`. A node
+	 * intersects if its start is before the range's end and its end is after the range's start;
+	 * so a `Text` node intersects a range that is collapsed inside it. Out-of-order anchors are
+	 * treated as if they were ordered.
+	 * @param {Node} node the node to check
+	 * @returns {boolean} true if the node intersects; false if it doesn't, or is in a different
+	 * 	tree than the range
+	 */
+	intersectsNode(node){
+		if (!is_node(node))
+			throw TypeError("expected Node");
+		const [s, e] = this.#loosely_ordered();
+		return (
+			compare_points(new Boundary(node, BEFORE_OPEN), e) < 0 &&
+			compare_points(new Boundary(node, AFTER_CLOSE), s) > 0
+		);
+	}
+	/** Compare one of this range's anchors with one of another range's, as with
+	 * `Range.compareBoundaryPoints`. Out-of-order anchors are treated as if they were ordered,
+	 * and equal or adjacent anchors compare as equal.
+	 * @param {number} how which anchors to compare; one of
+	 * 	{@link BoundaryRange.START_TO_START|START_TO_START},
+	 * 	{@link BoundaryRange.START_TO_END|START_TO_END},
+	 * 	{@link BoundaryRange.END_TO_END|END_TO_END}, or
+	 * 	{@link BoundaryRange.END_TO_START|END_TO_START}
+	 * @param {BoundaryRange|Range|StaticRange} other the range to compare with
+	 * @returns {?number} `-1`, `0`, or `1` if this range's anchor is before, equal to, or after
+	 * 	the other range's anchor; `null` if they can't be compared
+	 */
+	compareBoundaryPoints(how, other){
+		if (!(other instanceof BoundaryRange))
+			other = new BoundaryRange(other);
+		const [as, ae] = this.#loosely_ordered();
+		const [bs, be] = other.#loosely_ordered();
+		switch (how){
+			case BoundaryRange.START_TO_START: return compare_points(as, bs);
+			case BoundaryRange.START_TO_END: return compare_points(ae, bs);
+			case BoundaryRange.END_TO_END: return compare_points(ae, be);
+			case BoundaryRange.END_TO_START: return compare_points(as, be);
+		}
+		throw TypeError("expected a BoundaryRange comparison constant for how");
+	}
 	/** Check if this range intersects with another
 	 * @param {BoundaryRange} other the range to compare with
 	 * @param {boolean} [inclusive=false] whether to consider the ranges intersecting if just
@@ -859,8 +2859,2205 @@ class BoundaryRange{
 			this.end.compare(other.end) >= (1-inclusive)
 		);
 	}
+
+	// Set operations
+	/** Compute the overlap of this range and another. Out-of-order anchors are treated as if
+	 * they were ordered.
+	 * @param {BoundaryRange} other the range to intersect with
+	 * @returns {?BoundaryRange} A new range for the overlapping region, or `null` if the ranges
+	 * 	do not overlap. Ranges that only touch at an equal or adjacent boundary (see
+	 * 	{@link Boundary#isAdjacent}) give a {@link BoundaryRange#collapsed|collapsed} range.
+	 * @throws if either range is null, or the ranges are disconnected
+	 */
+	intersection(other){
+		const [as, ae] = this.#ordered();
+		const [bs, be] = other.#ordered();
+		const s = compare_strict(as, bs) >= 0 ? as : bs;
+		const e = compare_strict(ae, be) <= 0 ? ae : be;
+		if (compare_strict(s, e) <= 0)
+			return new BoundaryRange(s, e);
+		if (e.isAdjacent(s))
+			return new BoundaryRange(e, s);
+		return null;
+	}
+	/** Compute the combined region of this range and another
+	 * @param {BoundaryRange} other the range to combine with
+	 * @returns {BoundaryRange[]} New ranges, in DOM order. If the ranges overlap or touch (see
+	 * 	{@link BoundaryRange#intersection|intersection}), this is a single merged range;
+	 * 	otherwise, it is the two disjoint ranges.
+	 * @throws if either range is null, or the ranges are disconnected
+	 */
+	union(other){
+		let a = this.#ordered();
+		let b = other.#ordered();
+		if (compare_strict(a[0], b[0]) > 0)
+			[a, b] = [b, a];
+		if (reaches(a[1], b[0]))
+			return [new BoundaryRange(a[0], compare_strict(a[1], b[1]) >= 0 ? a[1] : b[1])];
+		return [new BoundaryRange(...a), new BoundaryRange(...b)];
+	}
+	/** Compute the region of this range that is not covered by another
+	 * @param {BoundaryRange} other the range to subtract
+	 * @returns {BoundaryRange[]} New ranges, in DOM order; there will be zero, one, or two ranges
+	 * 	depending on whether `other` covers all of, one end of, or the middle of this range
+	 * @throws if either range is null, or the ranges are disconnected
+	 */
+	difference(other){
+		const [as, ae] = this.#ordered();
+		const [bs, be] = other.#ordered();
+		if (compare_strict(ae, bs) <= 0 || compare_strict(be, as) <= 0)
+			return [new BoundaryRange(as, ae)];
+		const out = [];
+		if (compare_strict(as, bs) < 0)
+			out.push(new BoundaryRange(as, bs));
+		if (compare_strict(be, ae) < 0)
+			out.push(new BoundaryRange(be, ae));
+		return out;
+	}
+}
+
+/** A collection of {@link BoundaryRange} objects, kept sorted in DOM order and merged so that no
+ * two ranges overlap or touch. Ranges are merged when they intersect, or when one's end is equal or
+ * adjacent to the other's start (see {@link Boundary#isAdjacent}). This is useful for maintaining
+ * many ranges, such as search or spellcheck highlights:
+ * 
+ * ```js
+ * const set = new BoundaryRangeSet();
+ * for (const match of matches)
+ * 	set.add(match);
+ * set.subtract(ignored);
+ * for (const range of set)
+ * 	highlight(range);
+ * ```
+ * 
+ * Ranges are copied when added, and out-of-order anchors are swapped. The set assumes the DOM
+ * order of its ranges does not change; if the DOM is modified such that ranges are reordered,
+ * you should rebuild the set.
+ */
+class BoundaryRangeSet{
+	#ranges = [];
+	/** Create a new set
+	 * @param {Iterable<BoundaryRange>} [ranges] initial ranges to {@link BoundaryRangeSet#add|add}
+	 */
+	constructor(ranges=[]){
+		for (const r of ranges)
+			this.add(r);
+	}
+	/** Number of disjoint ranges in the set
+	 * @type {number}
+	 */
+	get size(){ return this.#ranges.length; }
+	/** Iterate the ranges in DOM order. The ranges are owned by the set, so should not be
+	 * modified; [clone]{@link BoundaryRange#cloneRange} them if needed.
+	 * @yields {BoundaryRange}
+	 */
+	*[Symbol.iterator](){
+		yield* this.#ranges;
+	}
+	/** index of the first range whose end is not before boundary
+	 * @private
+	 */
+	#lower(b){
+		let lo = 0, hi = this.#ranges.length;
+		while (lo < hi){
+			const mid = (lo + hi) >> 1;
+			if (compare_strict(this.#ranges[mid].end, b) < 0)
+				lo = mid + 1;
+			else hi = mid;
+		}
+		return lo;
+	}
+	/** copy of range with ordered anchors
+	 * @private
+	 */
+	static #ordered(range){
+		if (range.isNull())
+			throw Error("cannot add null BoundaryRange to set");
+		if (compare_strict(range.start, range.end) > 0)
+			return new BoundaryRange(range.end, range.start);
+		return range.cloneRange();
+	}
+	/** Add a range to the set, merging it with any ranges it overlaps or touches
+	 * @param {BoundaryRange} range the range to add
+	 * @returns {BoundaryRangeSet} modified `this`
+	 */
+	add(range){
+		const r = BoundaryRangeSet.#ordered(range);
+		const rs = this.#ranges;
+		let i = this.#lower(r.start);
+		if (i && reaches(rs[i-1].end, r.start))
+			i--;
+		let j = i;
+		for (; j < rs.length && reaches(r.end, rs[j].start); j++){
+			if (compare_strict(rs[j].start, r.start) < 0)
+				r.start.set(rs[j].start);
+			if (compare_strict(rs[j].end, r.end) > 0)
+				r.end.set(rs[j].end);
+		}
+		rs.splice(i, j-i, r);
+		return this;
+	}
+	/** Remove a region from the set. Ranges that partially overlap the region are trimmed or
+	 * split in two.
+	 * @param {BoundaryRange} range the region to remove
+	 * @returns {BoundaryRangeSet} modified `this`
+	 */
+	subtract(range){
+		const r = BoundaryRangeSet.#ordered(range);
+		const rs = this.#ranges;
+		const i = this.#lower(r.start);
+		const pieces = [];
+		let j = i;
+		for (; j < rs.length && compare_strict(rs[j].start, r.end) < 0; j++)
+			pieces.push(...rs[j].difference(r));
+		rs.splice(i, j-i, ...pieces);
+		return this;
+	}
+	/** Check if a boundary is inside one of the ranges in the set; boundaries equal to a range's
+	 * start or end are considered inside
+	 * @param {Boundary} boundary the boundary to check
+	 * @returns {boolean} true if inside the set
+	 */
+	has(boundary){
+		const i = this.#lower(boundary);
+		return i < this.#ranges.length && compare_strict(this.#ranges[i].start, boundary) <= 0;
+	}
+	/** Remove all ranges from the set
+	 * @returns {BoundaryRangeSet} modified `this`
+	 */
+	clear(){
+		this.#ranges.length = 0;
+		return this;
+	}
+}
+
+/** An ordered collection of {@link Boundary} objects inside a root node, for fast lookups when
+ * there are many boundaries, such as annotations or bookmarks. Sorting boundaries with
+ * {@link Boundary#compare} requires walking the DOM for every comparison. Instead, the index
+ * assigns an ordinal key to every node inside the root, so that boundaries can be ordered with
+ * simple numeric comparisons.
+ * 
+ * The keys are cached until the DOM's structure changes; a `MutationObserver` watches the root
+ * and invalidates the keys when nodes are added or removed. The keys are rebuilt lazily, with a
+ * single pass over the root's descendants, the next time the index is used. Since the keys are
+ * numbered across the whole root, any change invalidates all of them: a rebuild costs O(N) in the
+ * number of nodes under the root, plus re-sorting the boundaries. If you modify the DOM
+ * frequently, batch the modifications between queries, or index a smaller root.
+ * 
+ * ```js
+ * const index = new BoundaryIndex(document.body, annotations.map(a => a.boundary));
+ * index.after(caret); // the next annotation following the caret
+ * index.range(viewport.start, viewport.end); // annotations in view
+ * ```
+ * 
+ * Boundaries are stored by reference, so you can use them to lookup your own data. If you modify
+ * a boundary while it is in the index, call {@link BoundaryIndex#invalidate|invalidate}
+ * afterwards. Boundaries whose node is not inside the root (e.g. it was removed) are kept, but
+ * are excluded from the ordering and queries until they are inside the root again.
+ */
+class BoundaryIndex{
+	#root;
+	#observer;
+	// node -> ordinal for BEFORE_OPEN and BEFORE_CLOSE; null when invalidated
+	#open = null;
+	#close = null;
+	// ordered boundaries inside root
+	#entries = [];
+	// boundaries not inside root
+	#detached = [];
+	/** Create a new index
+	 * @param {Node} root node whose boundaries, and those of its descendants, can be indexed
+	 * @param {Iterable<Boundary>} [boundaries] initial boundaries to {@link BoundaryIndex#add|add}
+	 */
+	constructor(root, boundaries=[]){
+		if (!is_node(root))
+			throw TypeError("expected Node for root");
+		this.#root = root;
+		this.#observer = new (dom_for(root).MutationObserver)(() => this.#open = null);
+		this.#observer.observe(root, {childList: true, subtree: true});
+		this.add(...boundaries);
+	}
+	/** Root node of the index
+	 * @type {Node}
+	 */
+	get root(){ return this.#root; }
+	/** Total number of boundaries in the index, including those not currently inside the root
+	 * @type {number}
+	 */
+	get size(){ return this.#entries.length + this.#detached.length; }
+	/** Stop watching the DOM for changes. The index can still be used, but will rebuild its keys
+	 * for every operation.
+	 */
+	disconnect(){
+		this.#observer.disconnect();
+		this.#observer = null;
+	}
+	/** Discard the cached node keys and reorder the boundaries. This is done automatically when
+	 * nodes are added or removed, but you should call it if you modify a boundary that is in the
+	 * index.
+	 * @returns {BoundaryIndex} modified `this`
+	 */
+	invalidate(){
+		this.#open = null;
+		return this;
+	}
+	/** assign ordinals to each node of root, in a single preorder pass
+	 * @private
+	 */
+	#build(){
+		const open = this.#open = new Map();
+		const close = this.#close = new Map();
+		const root = this.#root;
+		// each node gets two consecutive ordinals when opened (BEFORE_OPEN, AFTER_OPEN) and two
+		// when closed (BEFORE_CLOSE, AFTER_CLOSE); children are numbered in between
+		let c = 0, n = root;
+		outer: while (true){
+			open.set(n, c);
+			c += 2;
+			if (n.firstChild){
+				n = n.firstChild;
+				continue;
+			}
+			while (true){
+				close.set(n, c);
+				c += 2;
+				if (n === root)
+					break outer;
+				if (n.nextSibling){
+					n = n.nextSibling;
+					break;
+				}
+				n = n.parentNode;
+			}
+		}
+		// reorder entries
+		const keyed = [], detached = [];
+		for (const b of [...this.#entries, ...this.#detached]){
+			const k = this.#key(b);
+			if (k === undefined)
+				detached.push(b);
+			else keyed.push([k, b]);
+		}
+		keyed.sort((a, b) => a[0] - b[0]);
+		this.#entries = keyed.map(e => e[1]);
+		this.#detached = detached;
+	}
+	/** make sure keys are up-to-date
+	 * @private
+	 */
+	#sync(){
+		if (!this.#observer || this.#observer.takeRecords().length)
+			this.#open = null;
+		if (!this.#open)
+			this.#build();
+	}
+	/** ordinal key for a boundary; undefined if not inside root
+	 * @private
+	 */
+	#key(b){
+		const n = b.node;
+		if (!this.#open.has(n))
+			return undefined;
+		switch (b.side){
+			case BEFORE_OPEN:
+				return this.#open.get(n);
+			case AFTER_OPEN:
+				return this.#open.get(n) + 1;
+			case BEFORE_CLOSE:
+				return this.#close.get(n);
+			case AFTER_CLOSE:
+				return this.#close.get(n) + 1;
+		}
+		// text offset; sits between AFTER_OPEN and BEFORE_CLOSE
+		const len = n.length;
+		return this.#open.get(n) + 1 + (Math.min(b.offset, len) + 1) / (len + 2);
+	}
+	/** key for a query boundary
+	 * @private
+	 */
+	#query_key(b){
+		const k = this.#key(b);
+		if (k === undefined)
+			throw Error("Boundary is not inside the BoundaryIndex root");
+		return k;
+	}
+	/** index of first entry whose key is >= k (or > k if after is set)
+	 * @private
+	 */
+	#search(k, after=false){
+		const es = this.#entries;
+		let lo = 0, hi = es.length;
+		while (lo < hi){
+			const mid = (lo + hi) >> 1;
+			const mk = this.#key(es[mid]);
+			if (mk < k || after && mk == k)
+				lo = mid + 1;
+			else hi = mid;
+		}
+		return lo;
+	}
+	/** Iterate the boundaries that are inside the root, in DOM order
+	 * @yields {Boundary}
+	 */
+	*[Symbol.iterator](){
+		this.#sync();
+		yield* this.#entries;
+	}
+	/** Add boundaries to the index
+	 * @param {...Boundary} boundaries boundaries to add; these are stored by reference
+	 * @returns {BoundaryIndex} modified `this`
+	 */
+	add(...boundaries){
+		this.#sync();
+		for (const b of boundaries){
+			if (!(b instanceof Boundary))
+				throw TypeError("expected Boundary");
+			const k = this.#key(b);
+			if (k === undefined)
+				this.#detached.push(b);
+			else this.#entries.splice(this.#search(k, true), 0, b);
+		}
+		return this;
+	}
+	/** Remove a boundary from the index
+	 * @param {Boundary} boundary the boundary object to remove; this is matched by reference
+	 * @returns {boolean} true if the boundary was in the index
+	 */
+	delete(boundary){
+		const i = this.#find(boundary);
+		if (i === null)
+			return false;
+		const [list, idx] = i;
+		list.splice(idx, 1);
+		return true;
+	}
+	/** Check if a boundary is in the index
+	 * @param {Boundary} boundary the boundary object to check for; this is matched by reference
+	 * @returns {boolean} true if the boundary is in the index
+	 */
+	has(boundary){
+		return this.#find(boundary) !== null;
+	}
+	/** find list and index of boundary
+	 * @private
+	 */
+	#find(boundary){
+		this.#sync();
+		const k = this.#key(boundary);
+		if (k !== undefined){
+			const es = this.#entries;
+			for (let i = this.#search(k); i < es.length && this.#key(es[i]) == k; i++)
+				if (es[i] === boundary)
+					return [es, i];
+		}
+		const i = this.#detached.indexOf(boundary);
+		return i == -1 ? null : [this.#detached, i];
+	}
+	/** Remove all boundaries from the index
+	 * @returns {BoundaryIndex} modified `this`
+	 */
+	clear(){
+		this.#entries.length = this.#detached.length = 0;
+		return this;
+	}
+	/** Get the boundaries between two positions
+	 * @param {Boundary} start position to start from
+	 * @param {Boundary} end position to end at
+	 * @param {boolean} [inclusive=true] whether to include boundaries equal to `start` or `end`
+	 * @returns {Boundary[]} the boundaries in the index between `start` and `end`, in DOM order
+	 */
+	range(start, end, inclusive=true){
+		this.#sync();
+		const i = this.#search(this.#query_key(start), !inclusive);
+		const j = this.#search(this.#query_key(end), inclusive);
+		return this.#entries.slice(i, Math.max(i, j));
+	}
+	/** Get the nearest boundary preceding a position
+	 * @param {Boundary} boundary position to search from
+	 * @param {boolean} [inclusive=false] whether to consider boundaries equal to `boundary`
+	 * @returns {?Boundary} the nearest preceding boundary in the index, or `null` if there is none
+	 */
+	before(boundary, inclusive=false){
+		this.#sync();
+		const i = this.#search(this.#query_key(boundary), inclusive);
+		return this.#entries[i-1] ?? null;
+	}
+	/** Get the nearest boundary following a position
+	 * @param {Boundary} boundary position to search from
+	 * @param {boolean} [inclusive=false] whether to consider boundaries equal to `boundary`
+	 * @returns {?Boundary} the nearest following boundary in the index, or `null` if there is none
+	 */
+	after(boundary, inclusive=false){
+		this.#sync();
+		const i = this.#search(this.#query_key(boundary), !inclusive);
+		return this.#entries[i] ?? null;
+	}
+}
+
+/** Check if a value is a Node. This checks `nodeType` rather than using `instanceof`, so that
+ * nodes from other realms (e.g. iframes) or DOM implementations are accepted.
+ * @private
+ */
+function is_node(n){
+	return typeof n?.nodeType == "number" && typeof n.compareDocumentPosition == "function";
+}
+
+/** Check if a node is CharacterData, realm-agnostic
+ * @private
+ */
+function is_character_data(n){
+	switch (n?.nodeType){
+		case TYPE_TEXT:
+		case TYPE_CDATA_SECTION:
+		case TYPE_PROCESSING_INSTRUCTION:
+		case TYPE_COMMENT:
+			return true;
+	}
+	return false;
+}
+
+/** Get the global object holding DOM interfaces for a node: its document's window, then
+ * {@link Boundary.dom}, then the current global scope
+ * @private
+ */
+function dom_for(node){
+	const doc = node.nodeType == TYPE_DOCUMENT ? node : node.ownerDocument;
+	return doc?.defaultView ?? Boundary.dom ?? globalThis;
+}
+
+/** Draws {@link BoundaryRange|BoundaryRanges} with the CSS Custom Highlight API. The ranges are
+ * converted with {@link BoundaryRange#toStaticRange|toStaticRange} (or
+ * {@link BoundaryRange#toRange|toRange}, if `live` is set) and registered in `CSS.highlights`
+ * under a name, to be styled with the `::highlight(name)` pseudo-element:
+ * 
+ * ```js
+ * const search = new BoundaryHighlight("search-results", {ranges: matches});
+ * search.priority = 1;
+ * search.delete(matches[0]);
+ * ```
+ * 
+ * Converted ranges hold fixed offsets, which become wrong as the DOM changes. A
+ * `MutationObserver` watches the roots of each range's start and end nodes, and the ranges are
+ * converted again after any mutation, so the highlight follows the boundaries. Call
+ * {@link BoundaryHighlight#update|update} if you modify the ranges themselves.
+ * 
+ * A {@link BoundaryRangeSet} can be added as well, in which case its current ranges are
+ * highlighted each time the highlight is updated. Null ranges are not drawn.
+ */
+class BoundaryHighlight{
+	#name;
+	#view;
+	#live;
+	#highlight;
+	#observer;
+	// BoundaryRange and BoundaryRangeSet
+	#sources = new Set();
+	#roots = new Set();
+	/** Create a new highlight and register it
+	 * @param {string} name name to register the highlight under; this replaces any highlight
+	 * 	already registered with the name
+	 * @param {Object} [options]
+	 * @param {Iterable<BoundaryRange|BoundaryRangeSet>} [options.ranges] initial ranges to
+	 * 	{@link BoundaryHighlight#add|add}
+	 * @param {number} [options.priority=0] see {@link BoundaryHighlight#priority|priority}
+	 * @param {string} [options.type="highlight"] see {@link BoundaryHighlight#type|type}
+	 * @param {boolean} [options.live=false] convert to live `Range` instead of `StaticRange`
+	 * @param {Object} [options.view] the window whose `CSS.highlights` registry and `Highlight`
+	 * 	interface to use, e.g. an iframe's `contentWindow`; defaults to {@link Boundary.dom}, or
+	 * 	the current global scope
+	 */
+	constructor(name, {ranges=[], priority=0, type="highlight", live=false, view}={}){
+		view ??= Boundary.dom ?? globalThis;
+		if (!view.Highlight || !view.CSS?.highlights)
+			throw Error("CSS Custom Highlight API is not available");
+		this.#name = name;
+		this.#view = view;
+		this.#live = !!live;
+		this.#highlight = new view.Highlight();
+		this.#highlight.priority = priority;
+		this.#highlight.type = type;
+		this.#observer = new view.MutationObserver(() => this.update());
+		view.CSS.highlights.set(name, this.#highlight);
+		this.add(...ranges);
+	}
+	/** Name the highlight is registered under
+	 * @type {string}
+	 */
+	get name(){ return this.#name; }
+	/** The underlying `Highlight` object
+	 * @type {Highlight}
+	 */
+	get highlight(){ return this.#highlight; }
+	/** Priority used to order overlapping highlights; higher priorities are drawn on top. When
+	 * priorities are equal, the highlight registered last is on top.
+	 * @type {number}
+	 */
+	get priority(){ return this.#highlight.priority; }
+	set priority(priority){ this.#highlight.priority = priority; }
+	/** Highlight type, one of `"highlight"`, `"spelling-error"`, or `"grammar-error"`
+	 * @type {string}
+	 */
+	get type(){ return this.#highlight.type; }
+	set type(type){ this.#highlight.type = type; }
+	/** Number of ranges and range sets added
+	 * @type {number}
+	 */
+	get size(){ return this.#sources.size; }
+	/** Iterate the ranges and range sets that were added
+	 * @yields {BoundaryRange|BoundaryRangeSet}
+	 */
+	[Symbol.iterator](){ return this.#sources.values(); }
+	/** Add ranges to draw
+	 * @param {...(BoundaryRange|BoundaryRangeSet)} ranges
+	 * @returns {BoundaryHighlight} modified `this`
+	 */
+	add(...ranges){
+		for (const r of ranges){
+			if (!(r instanceof BoundaryRange || r instanceof BoundaryRangeSet))
+				throw TypeError("expected BoundaryRange or BoundaryRangeSet");
+			this.#sources.add(r);
+		}
+		return this.update();
+	}
+	/** Stop drawing a range
+	 * @param {BoundaryRange|BoundaryRangeSet} range the range or range set that was added
+	 * @returns {boolean} true if the range had been added
+	 */
+	delete(range){
+		if (!this.#sources.delete(range))
+			return false;
+		this.update();
+		return true;
+	}
+	/** Check if a range has been added
+	 * @param {BoundaryRange|BoundaryRangeSet} range
+	 * @returns {boolean}
+	 */
+	has(range){ return this.#sources.has(range); }
+	/** Remove all ranges
+	 * @returns {BoundaryHighlight} modified `this`
+	 */
+	clear(){
+		this.#sources.clear();
+		return this.update();
+	}
+	/** Convert the ranges again, and observe the roots they are in. Ranges that are detached or
+	 * otherwise invalid (see {@link BoundaryRange#validate|validate}) are skipped. This is called
+	 * automatically after DOM mutations.
+	 * @returns {BoundaryHighlight} modified `this`
+	 */
+	update(){
+		const h = this.#highlight;
+		h.clear();
+		if (!this.#observer)
+			return this;
+		// pending mutations are handled by this update
+		this.#observer.takeRecords();
+		const roots = new Set();
+		for (const source of this.#sources){
+			for (const r of source instanceof BoundaryRangeSet ? source : [source]){
+				// e.g. a node was removed; the range is drawn again if it becomes valid
+				if (r.isNull() || r.validate().some(d =>
+					d.severity == "error" || d.code == "detached" || d.code == "no-parent"
+				))
+					continue;
+				// a composed range's boundaries can be in different shadow trees
+				roots.add(r.start.node.getRootNode());
+				roots.add(r.end.node.getRootNode());
+				h.add(this.#live ? r.toRange() : r.toStaticRange());
+			}
+		}
+		// MutationObserver can't stop observing a single node, so start over without them
+		if (Array.from(this.#roots).some(root => !roots.has(root))){
+			this.#observer.disconnect();
+			this.#roots.clear();
+		}
+		for (const root of roots){
+			if (!this.#roots.has(root)){
+				this.#roots.add(root);
+				this.#observer.observe(root, {childList: true, characterData: true, subtree: true});
+			}
+		}
+		return this;
+	}
+	/** Unregister the highlight and stop observing the DOM. Ranges can no longer be drawn
+	 * afterwards.
+	 * @returns {BoundaryHighlight} modified `this`
+	 */
+	disconnect(){
+		if (this.#observer){
+			this.#observer.disconnect();
+			this.#observer = null;
+			this.#roots.clear();
+			this.#highlight.clear();
+			const registry = this.#view.CSS.highlights;
+			if (registry.get(this.#name) === this.#highlight)
+				registry.delete(this.#name);
+		}
+		return this;
+	}
+}
+
+/** Performs common editing operations for a `contenteditable` root, in place of the browser.
+ * Browsers implement editing inconsistently, so this listens for `beforeinput` events, converts
+ * the event's target ranges (or the selection, if there are none) to {@link BoundaryRange}
+ * objects, and applies the edit itself. The event is then canceled, the caret is placed in the
+ * selection, and an `input` event is dispatched on the root.
+ * 
+ * ```js
+ * const editor = new BoundaryEditor(document.querySelector("[contenteditable]"));
+ * // ... later
+ * editor.disconnect();
+ * ```
+ * 
+ * These input types are handled; others, and events during IME composition, are left to the
+ * browser:
+ * - `insertText` and `insertReplacementText`: see {@link BoundaryEditor#insertText|insertText}
+ * - `insertParagraph`: see {@link BoundaryEditor#insertParagraph|insertParagraph}
+ * - `insertLineBreak`: see {@link BoundaryEditor#insertLineBreak|insertLineBreak}
+ * - `insertFromPaste`: plain text from the clipboard, or the result of the `paste` option
+ * - `deleteContentBackward`, `deleteContentForward`, `deleteWordBackward`, `deleteWordForward`,
+ *   `deleteByCut`, and `deleteContent`: see {@link BoundaryEditor#deleteContent|deleteContent}
+ * 
+ * The editing methods can also be called directly, e.g. for keyboard shortcuts. Each removes
+ * the range's content first, and returns a collapsed range for the caret afterwards. Blocks are
+ * elements in the default set used for {@link TextUnitOptions}; a block left empty is given a
+ * `<br>` placeholder, so that it keeps its height.
+ */
+class BoundaryEditor{
+	#root;
+	#paste;
+	#listener = null;
+	/** Create a new editor and begin listening for `beforeinput`
+	 * @param {Node} root the editing host, e.g. a `contenteditable` element
+	 * @param {Object} [options]
+	 * @param {function} [options.paste] called with `(dataTransfer, editor)` for
+	 * 	`insertFromPaste`, returning a string to insert as plain text, a `Node` (such as a
+	 * 	`DocumentFragment`) to insert as is, or `null` to leave the paste to the browser. Defaults
+	 * 	to the clipboard's `text/plain` data. To insert sanitized HTML, parse it into a fragment
+	 * 	and return that.
+	 */
+	constructor(root, {paste=null}={}){
+		if (!is_node(root))
+			throw TypeError("expected Node for root");
+		this.#root = root;
+		this.#paste = paste;
+		this.#listener = e => this.handle(e);
+		root.addEventListener("beforeinput", this.#listener);
+	}
+	/** The editing host
+	 * @type {Node}
+	 */
+	get root(){ return this.#root; }
+	/** Stop listening for `beforeinput`
+	 * @returns {BoundaryEditor} modified `this`
+	 */
+	disconnect(){
+		if (this.#listener){
+			this.#root.removeEventListener("beforeinput", this.#listener);
+			this.#listener = null;
+		}
+		return this;
+	}
+	/** Perform the edit for a `beforeinput` event. This is called by the event listener, but can
+	 * be called yourself if you are not {@link BoundaryEditor#disconnect|listening}.
+	 * @param {InputEvent} event the `beforeinput` event
+	 * @returns {boolean} true if the edit was performed and the event canceled
+	 */
+	handle(event){
+		if (event.defaultPrevented || event.isComposing)
+			return false;
+		const range = this.#target(event);
+		if (!range)
+			return false;
+		let caret;
+		switch (event.inputType){
+			case "insertText":
+			case "insertReplacementText":
+				caret = this.insertText(range, event.data ?? event.dataTransfer?.getData("text/plain") ?? "");
+				break;
+			case "insertParagraph":
+				caret = this.insertParagraph(range);
+				break;
+			case "insertLineBreak":
+				caret = this.insertLineBreak(range);
+				break;
+			case "insertFromPaste": {
+				const content = this.#paste ?
+					this.#paste(event.dataTransfer, this) :
+					event.dataTransfer?.getData("text/plain");
+				if (content == null)
+					return false;
+				caret = typeof content == "string" ?
+					this.insertText(range, content) :
+					this.insertNodes(range, content);
+			} break;
+			case "deleteContentBackward":
+				caret = this.deleteContent(range, "grapheme", -1);
+				break;
+			case "deleteContentForward":
+				caret = this.deleteContent(range, "grapheme", 1);
+				break;
+			case "deleteWordBackward":
+				caret = this.deleteContent(range, "word", -1);
+				break;
+			case "deleteWordForward":
+				caret = this.deleteContent(range, "word", 1);
+				break;
+			case "deleteByCut":
+			case "deleteContent":
+				caret = this.deleteContent(range);
+				break;
+			default:
+				return false;
+		}
+		event.preventDefault();
+		const selection = this.#selection();
+		if (selection)
+			caret.applyToSelection(selection);
+		const view = dom_for(this.#root);
+		this.#root.dispatchEvent(new view.InputEvent("input", {
+			bubbles: true,
+			inputType: event.inputType,
+			data: event.data ?? null
+		}));
+		return true;
+	}
+	/** Replace the range with text. Text is merged into an adjacent `Text` node when possible, and
+	 * each line break in `text` starts a new paragraph, as with
+	 * {@link BoundaryEditor#insertParagraph|insertParagraph}.
+	 * @param {BoundaryRange} range where to insert
+	 * @param {string} text the text to insert
+	 * @returns {BoundaryRange} collapsed range for the caret, following the inserted text
+	 */
+	insertText(range, text){
+		let caret = this.#delete(range);
+		text.split(/\r\n?|\n/).forEach((line, i) => {
+			if (i)
+				caret = this.#paragraph(caret);
+			if (line)
+				caret = this.#text(caret, line);
+		});
+		return new BoundaryRange(caret, caret);
+	}
+	/** Replace the range with nodes
+	 * @param {BoundaryRange} range where to insert
+	 * @param {...Node} nodes the nodes to insert; these can include a `DocumentFragment`
+	 * @returns {BoundaryRange} collapsed range for the caret, following the inserted nodes
+	 */
+	insertNodes(range, ...nodes){
+		let caret = this.#delete(range);
+		const last = nodes.map(n => n.nodeType == TYPE_DOCUMENT_FRAGMENT ? n.lastChild : n)
+			.findLast(n => n);
+		if (last){
+			const placeholder = this.#placeholder(caret);
+			caret.insert(...nodes);
+			placeholder?.remove();
+			caret = this.#text_caret(new Boundary(last, AFTER_CLOSE));
+		}
+		return new BoundaryRange(caret, caret);
+	}
+	/** Replace the range with a paragraph break. The block containing the caret is split in two
+	 * (see {@link Boundary#split}), or if the caret is at the start or end of the block, a new
+	 * empty block is created beside it. Without a block inside the root, this inserts a line
+	 * break instead.
+	 * @param {BoundaryRange} range where to insert
+	 * @returns {BoundaryRange} collapsed range for the caret, at the start of the second block
+	 */
+	insertParagraph(range){
+		const caret = this.#paragraph(this.#delete(range));
+		return new BoundaryRange(caret, caret);
+	}
+	/** Replace the range with a `<br>`. If the line break ends its block, a second `<br>` is
+	 * added so that the new line is shown.
+	 * @param {BoundaryRange} range where to insert
+	 * @returns {BoundaryRange} collapsed range for the caret, following the line break
+	 */
+	insertLineBreak(range){
+		const caret = this.#line_break(this.#delete(range));
+		return new BoundaryRange(caret, caret);
+	}
+	/** Delete the range's content. If the range is collapsed, it is first extended by `count`
+	 * text units (see {@link Boundary#move}), staying within the current line; at a `<br>`, the
+	 * line break is deleted, and at the edge of a block, the adjacent block is joined instead.
+	 * When content from two blocks is deleted, the remainder of the second block is moved into
+	 * the first.
+	 * @param {BoundaryRange} range the content to delete
+	 * @param {string} [unit="grapheme"] unit to extend a collapsed range by
+	 * @param {number} [count=0] number of units to extend a collapsed range by; negative to delete
+	 * 	backward. If zero, a collapsed range deletes nothing.
+	 * @returns {BoundaryRange} collapsed range for the caret, where the content was deleted
+	 */
+	deleteContent(range, unit="grapheme", count=0){
+		if (range.collapsed && count){
+			const caret = range.start;
+			const b = caret.clone();
+			let br;
+			if (b.move(unit, count, {blocks: true, root: this.#root}))
+				range = count < 0 ? new BoundaryRange(b, caret) : new BoundaryRange(caret, b);
+			// text movement stops at a line break, so delete the line break itself
+			else if ((br = this.#adjacent_break(caret, count > 0))){
+				range = count < 0 ?
+					new BoundaryRange(new Boundary(br, BEFORE_OPEN), caret) :
+					new BoundaryRange(caret, new Boundary(br, AFTER_CLOSE));
+			}
+			else{
+				const block = this.#block(caret);
+				const sibling = block && this.#sibling_block(block, count > 0);
+				if (!sibling)
+					return new BoundaryRange(caret, caret);
+				range = count < 0 ?
+					new BoundaryRange(new Boundary(sibling, BEFORE_CLOSE), caret) :
+					new BoundaryRange(caret, new Boundary(sibling, AFTER_OPEN));
+			}
+		}
+		const caret = this.#delete(range);
+		return new BoundaryRange(caret, caret);
+	}
+	/** get the range an event applies to
+	 * @private
+	 */
+	#target(event){
+		const ranges = event.getTargetRanges?.() ?? [];
+		let range;
+		if (ranges.length)
+			range = new BoundaryRange(ranges[0]);
+		else{
+			const selection = this.#selection();
+			range = selection && BoundaryRange.fromSelection(selection);
+		}
+		if (!range || range.isNull())
+			return null;
+		const root = this.#root;
+		if (!root.contains(range.start.node) || !root.contains(range.end.node))
+			return null;
+		return range;
+	}
+	/** selection for the root's document or shadow root
+	 * @private
+	 */
+	#selection(){
+		return this.#root.getRootNode().getSelection?.() ?? dom_for(this.#root).getSelection?.() ?? null;
+	}
+	/** create an element in the root's document
+	 * @private
+	 */
+	#create(name){
+		return (this.#root.ownerDocument ?? this.#root).createElement(name);
+	}
+	/** nearest block containing a boundary, inside the root
+	 * @private
+	 */
+	#block(b){
+		const block = block_filter(true);
+		let n = b.side & FILTER_OUTSIDE ? b.node.parentNode : b.node;
+		for (; n && n !== this.#root; n = n.parentNode)
+			if (block(n))
+				return n;
+		return null;
+	}
+	/** the block to join with when deleting at the edge of a block; descends into the adjacent
+	 * block's innermost block, e.g. the last item of a list
+	 * @private
+	 */
+	#sibling_block(block, forward){
+		const is_block = block_filter(true);
+		let n = forward ? block.nextSibling : block.previousSibling;
+		// skip formatting whitespace and comments
+		while (n && (n.nodeType == TYPE_COMMENT || n.nodeType == TYPE_TEXT && !n.data.trim()))
+			n = forward ? n.nextSibling : n.previousSibling;
+		if (!n || !is_block(n))
+			return null;
+		for (let c; (c = forward ? n.firstElementChild : n.lastElementChild) && is_block(c);)
+			n = c;
+		return n;
+	}
+	/** the `<br>` directly preceding or following a caret, including one inside adjacent inline
+	 * formatting
+	 * @private
+	 */
+	#adjacent_break(b, forward){
+		const is_block = block_filter(true);
+		const inline = n => n?.nodeType == TYPE_ELEMENT && !is_block(n) && !VOID_ELEMENTS.has(n.localName);
+		const sibling = n => forward ? n.nextSibling : n.previousSibling;
+		// the node beside n, leaving inline formatting at its edge
+		const beside = n => {
+			for (; n && n !== this.#root; n = n.parentNode){
+				let s = sibling(n);
+				while (s?.nodeType == TYPE_TEXT && !s.length)
+					s = sibling(s);
+				if (s)
+					return s;
+				if (n.parentNode === this.#root || !inline(n.parentNode))
+					break;
+			}
+			return null;
+		};
+		const n = b.node;
+		let adjacent = null;
+		switch (b.side){
+			case TEXT_OFFSET:
+				if (b.offset == (forward ? n.length : 0))
+					adjacent = beside(n);
+				break;
+			case BEFORE_OPEN: adjacent = forward ? n : beside(n); break;
+			case AFTER_CLOSE: adjacent = forward ? beside(n) : n; break;
+			case AFTER_OPEN: adjacent = forward ? n.firstChild : inline(n) && beside(n); break;
+			case BEFORE_CLOSE: adjacent = forward ? inline(n) && beside(n) : n.lastChild; break;
+		}
+		while (inline(adjacent))
+			adjacent = forward ? adjacent.firstChild : adjacent.lastChild;
+		return adjacent?.localName == "br" ? adjacent : null;
+	}
+	/** replace the content of an empty block with a placeholder `<br>`
+	 * @private
+	 */
+	#fill(block){
+		if (block.isConnected && !block.textContent &&
+			!block.querySelector(Array.from(VOID_ELEMENTS).join()))
+			block.replaceChildren(this.#create("br"));
+	}
+	/** prefer a text offset for a caret that is beside a `Text` node, including one inside
+	 * adjacent inline formatting
+	 * @private
+	 */
+	#text_caret(b){
+		const n = b.node;
+		let prev = null, next = null;
+		switch (b.side){
+			case TEXT_OFFSET: return b;
+			case BEFORE_OPEN: prev = n.previousSibling; next = n; break;
+			case AFTER_OPEN: next = n.firstChild; break;
+			case BEFORE_CLOSE: prev = n.lastChild; break;
+			case AFTER_CLOSE: prev = n; next = n.nextSibling; break;
+		}
+		const is_block = block_filter(true);
+		const inline = n => n?.nodeType == TYPE_ELEMENT && !is_block(n) && !VOID_ELEMENTS.has(n.localName);
+		while (inline(prev))
+			prev = prev.lastChild;
+		while (inline(next))
+			next = next.firstChild;
+		if (prev?.nodeType == TYPE_TEXT)
+			return new Boundary(prev, prev.length, POSITION_BEFORE);
+		if (next?.nodeType == TYPE_TEXT)
+			return new Boundary(next, 0, POSITION_BEFORE);
+		return b;
+	}
+	/** delete range content, joining blocks if it spanned two; returns the caret
+	 * @private
+	 */
+	#delete(range){
+		let s = range.start, e = range.end;
+		if (s.compare(e) > 0)
+			[s, e] = [e, s];
+		if (range.collapsed)
+			return this.#text_caret(s.clone());
+		const sb = this.#block(s), eb = this.#block(e);
+		const r = new BoundaryRange(s, e).deleteContents();
+		let caret = r.start;
+		if (sb && eb && sb !== eb && !sb.contains(eb) && !eb.contains(sb)){
+			// a trailing <br> is a placeholder, and would show as a line break once joined
+			if (eb.hasChildNodes() && sb.lastChild?.localName == "br")
+				sb.lastChild.remove();
+			caret = sb.lastChild ? new Boundary(sb.lastChild, AFTER_CLOSE) : new Boundary(sb, AFTER_OPEN);
+			sb.append(...eb.childNodes);
+			// remove the second block, along with any ancestors it leaves empty
+			let p = eb.parentNode;
+			eb.remove();
+			while (p && p !== this.#root && !p.hasChildNodes()){
+				const parent = p.parentNode;
+				p.remove();
+				p = parent;
+			}
+		}
+		const block = this.#block(caret);
+		for (const b of [sb, eb])
+			if (b)
+				this.#fill(b);
+		// the caret may have been inside empty content replaced by the placeholder
+		if (block && !block.contains(caret.node))
+			caret = new Boundary(block, AFTER_OPEN);
+		return this.#text_caret(caret);
+	}
+	/** insert text at the caret; returns the caret following it
+	 * @private
+	 */
+	#text(caret, text){
+		caret = this.#text_caret(caret);
+		if (caret.side == TEXT_OFFSET && caret.node.nodeType == TYPE_TEXT){
+			const offset = Math.min(caret.offset, caret.node.length);
+			caret.node.insertData(offset, text);
+			return new Boundary(caret.node, offset + text.length, POSITION_BEFORE);
+		}
+		const placeholder = this.#placeholder(caret);
+		const node = (this.#root.ownerDocument ?? this.#root).createTextNode(text);
+		caret.insert(node);
+		placeholder?.remove();
+		return new Boundary(node, node.length, POSITION_BEFORE);
+	}
+	/** the placeholder `<br>` of the empty block containing the caret, if any
+	 * @private
+	 */
+	#placeholder(caret){
+		const block = this.#block(caret);
+		const br = block?.childNodes.length == 1 && block.firstChild;
+		return br?.localName == "br" ? br : null;
+	}
+	/** split the caret's block; returns the caret at the start of the second block
+	 * @private
+	 */
+	#paragraph(caret){
+		const block = this.#block(caret);
+		if (!block)
+			return this.#line_break(caret);
+		const next = block.nextSibling;
+		const [before, after] = caret.split(block.parentNode);
+		let second;
+		// new half from the split
+		if (after.side == BEFORE_OPEN && after.node !== block && after.node !== next)
+			second = after.node;
+		else{
+			// caret was at the start or end, so the block wasn't split
+			const empty = block.cloneNode(false);
+			if (empty.nodeType == TYPE_ELEMENT)
+				empty.removeAttribute("id");
+			if (after.node === block && after.side == BEFORE_OPEN){
+				after.insert(empty);
+				second = block;
+			}
+			else{
+				before.insert(empty);
+				second = empty;
+			}
+			this.#fill(empty);
+		}
+		return this.#text_caret(new Boundary(second, AFTER_OPEN));
+	}
+	/** insert a line break at the caret; returns the caret following it
+	 * @private
+	 */
+	#line_break(caret){
+		const br = this.#create("br");
+		caret.insert(br);
+		// a line break that ends its block needs another to show the new line; inserting into
+		// text can leave an empty Text node following it
+		const block = this.#block(new Boundary(br, BEFORE_OPEN)) ?? this.#root;
+		const following = n => {
+			let f = n.nextSibling;
+			while (f?.nodeType == TYPE_TEXT && !f.length)
+				f = f.nextSibling;
+			return f;
+		};
+		let n = br;
+		while (n !== block && !following(n))
+			n = n.parentNode;
+		if (n === block)
+			br.after(this.#create("br"));
+		return this.#text_caret(new Boundary(br, AFTER_CLOSE));
+	}
+}
+
+// Default elements considered blocks, for text unit movement
+const BLOCK_ELEMENTS = new Set([
+	"address", "article", "aside", "blockquote", "body", "dd", "details", "dialog", "div", "dl",
+	"dt", "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+	"header", "hgroup", "hr", "html", "li", "main", "nav", "ol", "p", "pre", "section", "summary",
+	"table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"
+]);
+
+/** Get the block predicate for the `blocks` option of {@link TextUnitOptions}
+ * @private
+ */
+function block_filter(blocks){
+	if (typeof blocks == "function")
+		return blocks;
+	if (blocks)
+		return n => n.nodeType == TYPE_ELEMENT && BLOCK_ELEMENTS.has(n.localName);
+	return null;
+}
+
+/** Nodes to gather text runs from when working with text units at a position inside `node`.
+ * Gathering all of root's text for every movement is costly in a large document; text runs
+ * can't continue past a block, so the block ancestors of `node` are tried first, from the
+ * nearest outward to `root`. Callers move on to the next scope if the text they need isn't
+ * inside the current one.
+ * @private
+ */
+function text_scopes(node, root, block, tree){
+	const scopes = [];
+	let n = node;
+	if (block){
+		for (; n && n !== root; n = tree.parent(n)){
+			if (n.nodeType == TYPE_ELEMENT && block(n))
+				scopes.push(n);
+		}
+	}
+	// not inside root, so only root's text is used
+	if (!n)
+		scopes.length = 0;
+	scopes.push(root);
+	return scopes;
+}
+
+/** Gather the text inside root into runs of consecutive text nodes, split at block elements
+ * and `<br>`. Each `<br>` also adds an empty run with a `br` property, so that text is not found
+ * across it.
+ * @private
+ */
+function text_runs(root, tree, block){
+	const runs = [];
+	let run = null;
+	const visit = n => {
+		const t = n.nodeType;
+		if (t == TYPE_TEXT || t == TYPE_CDATA_SECTION){
+			if (!n.length)
+				return;
+			if (!run)
+				runs.push(run = {text: "", nodes: [], starts: []});
+			run.nodes.push(n);
+			run.starts.push(run.text.length);
+			run.text += n.data;
+			return;
+		}
+		if (n !== root && block && t == TYPE_ELEMENT && n.localName == "br"){
+			// a line break ends the run the same as a block
+			runs.push({text: "", nodes: [], starts: [], br: n});
+			run = null;
+			return;
+		}
+		const split = n !== root && block && t == TYPE_ELEMENT && block(n);
+		if (split)
+			run = null;
+		for (let c = tree.first(n); c; c = tree.next(c))
+			visit(c);
+		if (split)
+			run = null;
+	};
+	visit(root);
+	return runs;
+}
+
+/** Find the [run, index] of a boundary's position in the text. If the boundary is not inside
+ * text, this is the nearest text position following (forward) or preceding it, without crossing
+ * a `<br>`.
+ * @private
+ */
+function text_position(runs, b, forward){
+	let prev = null;
+	for (const run of runs){
+		if (run.br){
+			if (b.compareNode(run.br) == POSITION_BEFORE)
+				return forward ? null : prev;
+			prev = null;
+			continue;
+		}
+		for (let i = 0; i < run.nodes.length; i++){
+			const node = run.nodes[i];
+			const start = run.starts[i];
+			switch (b.compareNode(node)){
+				case POSITION_INSIDE:
+					if (b.side == TEXT_OFFSET)
+						return [run, start + Math.min(b.offset, node.length)];
+					return [run, b.side == AFTER_OPEN ? start : start + node.length];
+				case POSITION_BEFORE:
+					return forward ? [run, start] : prev;
+			}
+			prev = [run, start + node.length];
+		}
+	}
+	return forward ? null : prev;
+}
+
+/** Get the {node, offset} for an index into a text run. At the seam between two nodes, forward
+ * picks the end of the earlier node, and backward the start of the later node.
+ * @private
+ */
+function text_anchor(run, index, forward){
+	const {nodes, starts} = run;
+	let i = 0;
+	while (i < nodes.length - 1 && (forward ? starts[i] + nodes[i].length < index : starts[i+1] <= index))
+		i++;
+	return {node: nodes[i], offset: index - starts[i]};
+}
+
+/** Split text into [start, end, isWordLike] units
+ * @private
+ */
+function text_segments(text, unit, locale){
+	const segs = [];
+	if (unit == "character"){
+		let i = 0;
+		for (const c of text)
+			segs.push([i, i += c.length, false]);
+		return segs;
+	}
+	if (unit != "grapheme" && unit != "word" && unit != "sentence")
+		throw TypeError("unknown text unit: " + unit);
+	if (typeof Intl?.Segmenter != "function")
+		throw Error("Intl.Segmenter is not available");
+	const segmenter = new Intl.Segmenter(locale, {granularity: unit});
+	for (const {segment, index, isWordLike} of segmenter.segment(text))
+		segs.push([index, index + segment.length, !!isWordLike]);
+	return segs;
+}
+
+// HTML elements without a closing tag or contents
+const VOID_ELEMENTS = new Set([
+	"area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track",
+	"wbr"
+]);
+// HTML elements that are content without children, in addition to void elements
+const REPLACED_ELEMENTS = new Set([
+	"audio", "canvas", "iframe", "math", "object", "svg", "video"
+]);
+// HTML elements whose text is not escaped
+const RAW_TEXT_ELEMENTS = new Set([
+	"iframe", "noembed", "noframes", "plaintext", "script", "style", "xmp"
+]);
+const XMLNS = "http://www.w3.org/2000/xmlns/",
+	XML_NAMESPACE = "http://www.w3.org/XML/1998/namespace",
+	HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+// namespace prefixes in scope outside any element: no default namespace, and the builtin xml prefix
+const ROOT_SCOPE = new Map([["", null], ["xml", XML_NAMESPACE]]);
+
+/** Offset into a CharacterData node for a boundary inside it
+ * @private
+ */
+function inner_offset(b){
+	if (b.side == TEXT_OFFSET)
+		return Math.min(b.offset, b.node.length);
+	return b.side == AFTER_OPEN ? 0 : b.node.length;
+}
+
+/** Deepest node containing both boundaries, as for `Range.commonAncestorContainer`
+ * @private
+ * @param {Boundary} s start boundary
+ * @param {Boundary} e end boundary
+ * @param {Object} tree tree navigation functions
+ * @returns {?Node} the common container, or `null` if the boundaries are in different trees
+ */
+function common_container(s, e, tree){
+	const container = b => b.side & FILTER_OUTSIDE ? tree.parent(b.node) : b.node;
+	let n = container(s);
+	const other = container(e);
+	while (n && other && !tree.contains(n, other))
+		n = tree.parent(n);
+	return other && n;
+}
+
+/** Escape text for markup
+ * @private
+ */
+function markup_escape(str, attr, xml){
+	str = str.replace(/&/g, "&amp;");
+	if (!xml)
+		str = str.replace(/\u00A0/g, "&nbsp;");
+	if (attr){
+		str = str.replace(/"/g, "&quot;");
+		return xml ? str.replace(/</g, "&lt;") : str;
+	}
+	return str.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/** Serialize a CharacterData node with the given data
+ * @private
+ */
+function markup_data(node, data, xml, raw){
+	switch (node.nodeType){
+		case TYPE_TEXT:
+			return raw ? data : markup_escape(data, false, xml);
+		case TYPE_CDATA_SECTION:
+			return `<![CDATA[${data}]]>`;
+		case TYPE_COMMENT:
+			return `<!--${data}-->`;
+		case TYPE_PROCESSING_INSTRUCTION:
+			return `<?${node.target} ${data}${xml ? "?" : ""}>`;
+	}
+	return "";
+}
+
+/** Get the [tag name, attribute string, namespace scope] for an element's opening tag. For
+ * XML, scope maps prefixes to namespaces declared by ancestors; namespace declarations are
+ * added if needed, and the returned scope includes them.
+ * @private
+ */
+function markup_element(el, xml, scope){
+	const tag = el.prefix ? el.prefix + ":" + el.localName : el.localName;
+	let attrs = "";
+	if (xml){
+		const declare = (prefix, ns) => {
+			if (scope.get(prefix) === ns)
+				return;
+			scope = new Map(scope).set(prefix, ns);
+			attrs += ` ${prefix ? "xmlns:" + prefix : "xmlns"}="${markup_escape(ns ?? "", true, xml)}"`;
+		};
+		declare(el.prefix ?? "", el.namespaceURI);
+		for (const a of el.attributes){
+			if (a.prefix && a.namespaceURI !== XMLNS)
+				declare(a.prefix, a.namespaceURI);
+		}
+	}
+	for (const a of el.attributes){
+		// declarations are handled above
+		if (xml && a.namespaceURI === XMLNS)
+			continue;
+		attrs += ` ${a.name}="${markup_escape(a.value, true, xml)}"`;
+	}
+	return [tag, attrs, scope];
+}
+
+/** Boundary for an index into BoundaryRange's text map. At the seam between two pieces, after
+ * picks the start of the following piece, otherwise the end of the preceding.
+ * @private
+ */
+function text_map_boundary(map, index, after){
+	const {text, pieces} = map;
+	if (!pieces.length || index < 0 || index > text.length)
+		return null;
+	let p;
+	// piece holding the character following or preceding index; indexes inside a separator
+	// go to the start of the following piece, or end of the preceding
+	if (after)
+		p = pieces.find(p => p.index + p.length > index) ?? pieces[pieces.length-1];
+	else p = pieces.findLast(p => p.index < index) ?? pieces[0];
+	const offset = p.offset + Math.max(0, Math.min(index - p.index, p.length));
+	const b = new Boundary(p.node, offset, POSITION_BEFORE);
+	b.composed = map.composed;
+	return b;
+}
+
+/** Number of linear positions a node spans, for {@link Boundary#toPosition}: one each for its
+ * open and close, plus its content
+ * @private
+ * @param {Node} node the node to measure
+ * @param {Object} tree tree navigation functions
+ * @param {boolean} countText whether CharacterData is measured by its length instead
+ * @returns {number} size of the node
+ */
+function position_size(node, tree, countText){
+	if (is_character_data(node))
+		return countText ? node.length : 2;
+	let size = 2;
+	for (let c = tree.first(node); c; c = tree.next(c))
+		size += position_size(c, tree, countText);
+	return size;
+}
+
+/** Path of child indices from `root` down to `node`
+ * @private
+ * @returns {?Array} `[indices, nodes]`, where `nodes` are the nodes along the path (excluding
+ * 	root), or null if `node` is not inside `root`
+ */
+function node_path(root, node, tree){
+	const path = [], nodes = [];
+	for (; node !== root; node = tree.parent(node)){
+		const parent = node && tree.parent(node);
+		const index = parent ? Array.prototype.indexOf.call(tree.children(parent), node) : -1;
+		if (index < 0)
+			return null;
+		path.push(index);
+		nodes.push(node);
+	}
+	return [path.reverse(), nodes.reverse()];
+}
+
+/** Follow a path of child indices from `root`, as given by {@link node_path}
+ * @private
+ * @param {function} [step] called with `(child, depth)` at each step, where `child` is null if
+ * 	the index is out of range; returns the node to continue from, or null if there is none
+ * @returns {Node} the node at the end of the path
+ * @throws if the path can't be followed
+ */
+function resolve_path(root, path, tree, step=child => child){
+	let node = root;
+	path.forEach((index, i) => {
+		const child = step(tree.children(node)[index] ?? null, i);
+		if (!child)
+			throw Error(`cannot resolve Boundary path at depth ${i}`);
+		node = child;
+	});
+	return node;
+}
+
+/** Children of a node in the composed tree
+ * @private
+ */
+function flat_children(n){
+	if (n.shadowRoot)
+		return n.shadowRoot.childNodes;
+	// slot; if nothing is assigned, its children are the fallback content
+	const assigned = n.assignedNodes?.();
+	if (assigned?.length)
+		return assigned;
+	return n.childNodes;
+}
+
+/** Parent of a node in the composed tree
+ * @private
+ */
+function flat_parent(n){
+	const slot = n.assignedSlot;
+	if (slot)
+		return slot;
+	const p = n.parentNode;
+	if (!p)
+		return null;
+	// shadow root is replaced by its host
+	if (p.nodeType == TYPE_DOCUMENT_FRAGMENT && p.host)
+		return p.host;
+	// unassigned children of a host, and a slot's fallback content when it has assigned nodes,
+	// are not part of the composed tree
+	if (p.shadowRoot || p.assignedNodes?.().length)
+		return null;
+	return p;
+}
+
+/** Next (dir = 1) or previous (dir = -1) sibling of a node in the composed tree
+ * @private
+ */
+function flat_sibling(n, dir){
+	const slot = n.assignedSlot;
+	if (slot){
+		const assigned = slot.assignedNodes();
+		return assigned[assigned.indexOf(n) + dir] ?? null;
+	}
+	return dir > 0 ? n.nextSibling : n.previousSibling;
+}
+
+/** Equivalent of `Node.compareDocumentPosition` for the composed tree
+ * @private
+ */
+function flat_position(a, b){
+	if (a === b)
+		return 0;
+	const ancestors = n => {
+		const path = [];
+		for (; n; n = flat_parent(n))
+			path.push(n);
+		return path.reverse();
+	};
+	const pa = ancestors(a), pb = ancestors(b);
+	if (pa[0] !== pb[0])
+		return DOCUMENT_POSITION_DISCONNECTED | DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC;
+	let i = 1;
+	while (i < pa.length && i < pb.length && pa[i] === pb[i])
+		i++;
+	if (i == pa.length)
+		return DOCUMENT_POSITION_CONTAINED_BY | DOCUMENT_POSITION_FOLLOWING;
+	if (i == pb.length)
+		return DOCUMENT_POSITION_CONTAINS | DOCUMENT_POSITION_PRECEDING;
+	for (let n = pa[i]; n; n = flat_sibling(n, 1))
+		if (n === pb[i])
+			return DOCUMENT_POSITION_FOLLOWING;
+	return DOCUMENT_POSITION_PRECEDING;
+}
+
+/** Compare two boundaries, throwing if they cannot be ordered
+ * @private
+ */
+function compare_strict(a, b){
+	const c = a.compare(b);
+	if (c === null)
+		throw Error("Boundary positions are disconnected or null");
+	return c;
+}
+
+/** Compare two boundaries as DOM points, where equal and adjacent boundaries are the same point
+ * @private
+ * @returns {?number} -1, 0, or 1; or `null` if they can't be compared
+ */
+function compare_points(a, b){
+	const c = a.compare(b);
+	if (c && (a.isAdjacent(b) || b.isAdjacent(a)))
+		return 0;
+	return c;
+}
+
+/** Get a point for Range style methods, given a boundary or an anchor
+ * @private
+ */
+function range_point(node, offset){
+	if (node instanceof Boundary)
+		return node;
+	if (!is_node(node))
+		throw TypeError("expected Node or Boundary for point");
+	return new Boundary(node, offset, POSITION_BEFORE);
+}
+
+/** Whether a range ending at `end` overlaps or touches a range starting at `start`
+ * @private
+ */
+function reaches(end, start){
+	return compare_strict(end, start) >= 0 || end.isAdjacent(start);
+}
+
+/** Where a Range collapses to after its contents are removed; see the DOM spec for
+ * `Range.deleteContents`
+ * @private
+ * @returns {Object} Range style anchor, with `node` and `offset`
+ */
+function collapse_point(sn, so, en){
+	if (sn.contains(en))
+		return {node: sn, offset: so};
+	let ref = sn;
+	while (!ref.parentNode.contains(en))
+		ref = ref.parentNode;
+	let offset = 1;
+	for (let c = ref.previousSibling; c; c = c.previousSibling)
+		offset++;
+	return {node: ref.parentNode, offset};
+}
+
+/** Extract or clone the contents between two ordered Range style anchors, following the DOM spec
+ * algorithms for `Range.extractContents` and `Range.cloneContents`
+ * @private
+ * @param {Node} sn start container
+ * @param {number} so start offset
+ * @param {Node} en end container
+ * @param {number} eo end offset
+ * @param {boolean} clone copy contents, rather than moving them
+ * @returns {DocumentFragment}
+ */
+function range_contents(sn, so, en, eo, clone){
+	const frag = (sn.ownerDocument ?? sn).createDocumentFragment();
+	if (sn === en && so >= eo)
+		return frag;
+	// trim CharacterData, placing the trimmed portion in frag
+	const text = (node, start, end) => {
+		const c = node.cloneNode();
+		c.data = node.substringData(start, end - start);
+		frag.append(c);
+		if (!clone)
+			node.deleteData(start, end - start);
+	};
+	if (sn === en && is_character_data(sn)){
+		text(sn, so, eo);
+		return frag;
+	}
+	let common = sn;
+	while (!common.contains(en))
+		common = common.parentNode;
+	// children of common ancestor which are partially contained
+	let first = null, last = null;
+	if (!sn.contains(en)){
+		first = sn;
+		while (first.parentNode !== common)
+			first = first.parentNode;
+	}
+	if (!en.contains(sn)){
+		last = en;
+		while (last.parentNode !== common)
+			last = last.parentNode;
+	}
+	// children of common ancestor which are fully contained
+	const contained = [];
+	const stop = last ?? common.childNodes[eo] ?? null;
+	for (let c = first ? first.nextSibling : common.childNodes[so]; c && c !== stop; c = c.nextSibling){
+		if (c.nodeType == TYPE_DOCUMENT_TYPE)
+			throw Error("cannot extract a DocumentType node");
+		contained.push(c);
+	}
+	if (is_character_data(first))
+		text(first, so, first.length);
+	else if (first){
+		const c = first.cloneNode();
+		frag.append(c);
+		c.append(range_contents(sn, so, first, first.childNodes.length, clone));
+	}
+	for (const c of contained)
+		frag.append(clone ? c.cloneNode(true) : c);
+	if (is_character_data(last))
+		text(last, 0, eo);
+	else if (last){
+		const c = last.cloneNode();
+		frag.append(c);
+		c.append(range_contents(last, 0, en, eo, clone));
+	}
+	return frag;
+}
+
+/** Re-anchor a boundary whose reference node was removed from `root`, using the removed node's
+ * former siblings/parent recorded by `MutationObserver`.
+ * @private
+ * @param {Boundary} b boundary to heal
+ * @param {MutationRecord[]} records mutation records, in order
+ * @param {Node} root the boundary is considered removed if its node is not inside this root
+ * @param {number} gravity POSITION_BEFORE or POSITION_AFTER
+ * @returns {boolean} true if the boundary was modified
+ */
+function reanchor(b, records, root, gravity){
+	if (b.isNull() || root.contains(b.node))
+		return false;
+	// A node can be re-anchored into a subtree that was itself removed by an earlier record, so we
+	// repeat until stable; each record can re-anchor at most once per pass
+	let modified = false, changed = true, passes = records.length;
+	while (changed && passes--){
+		changed = false;
+		for (const r of records){
+			if (r.type != "childList")
+				continue;
+			const n = b.node;
+			for (const removed of r.removedNodes){
+				if (removed !== n && !removed.contains(n))
+					continue;
+				if (gravity == POSITION_AFTER)
+					r.nextSibling ? b.set(r.nextSibling, BEFORE_OPEN) : b.set(r.target, BEFORE_CLOSE);
+				else r.previousSibling ? b.set(r.previousSibling, AFTER_CLOSE) : b.set(r.target, AFTER_OPEN);
+				changed = modified = true;
+				break;
+			}
+		}
+		if (root.contains(b.node))
+			break;
+	}
+	return modified;
+}
+
+/** Validate a gravity setting for {@link LiveBoundary} or {@link LiveBoundaryRange}
+ * @private
+ */
+function live_gravity(gravity){
+	if (gravity != POSITION_BEFORE && gravity != POSITION_AFTER)
+		throw TypeError("expected a position bit flag for gravity");
+	return gravity;
+}
+
+/** The observer behind {@link LiveBoundary} and {@link LiveBoundaryRange}, which re-anchors
+ * their boundaries when reference nodes are removed from a root
+ * @private
+ */
+class LiveTracker{
+	#observer = null;
+	#root = null;
+	#boundaries;
+	/** @param {function} boundaries returns the `[boundary, gravity]` pairs to heal */
+	constructor(boundaries){
+		this.#boundaries = boundaries;
+	}
+	/** root node being observed, or null */
+	get root(){ return this.#root; }
+	/** observe root, replacing any previous observer */
+	track(root){
+		this.disconnect();
+		this.#root = root;
+		this.#observer = new (dom_for(root).MutationObserver)(records => this.#heal(records));
+		this.#observer.observe(root, {childList: true, subtree: true});
+	}
+	/** stop observing */
+	disconnect(){
+		if (this.#observer){
+			this.#observer.disconnect();
+			this.#observer = this.#root = null;
+		}
+	}
+	/** heal using pending records; true if any boundary was re-anchored */
+	update(){
+		if (!this.#observer)
+			return false;
+		return this.#heal(this.#observer.takeRecords());
+	}
+	/** handle mutation records */
+	#heal(records){
+		let modified = false;
+		for (const [b, gravity] of this.#boundaries())
+			modified = reanchor(b, records, this.#root, gravity) || modified;
+		return modified;
+	}
+}
+
+/** A {@link Boundary} that heals itself when its reference node is removed. A `MutationObserver`
+ * watches a root node (by default, the root of the boundary's node when created); when the
+ * reference node, or one of its ancestors, is removed from the root, the boundary is re-anchored
+ * to the nearest surviving position using the removed node's former siblings or parent. The
+ * {@link LiveBoundary#gravity|gravity} determines which direction to re-anchor.
+ * 
+ * Mutation observers are notified asynchronously, so the boundary may be stale until then; call
+ * {@link LiveBoundary#update|update} to process pending mutations immediately. Call
+ * {@link LiveBoundary#disconnect|disconnect} once the boundary is no longer needed.
+ * 
+ * ```js
+ * const b = new LiveBoundary(span, BoundaryFlags.BEFORE_OPEN);
+ * span.remove();
+ * b.update(); // now references span's former previous sibling, or parent
+ * b.disconnect();
+ * ```
+ * 
+ * @extends Boundary
+ */
+class LiveBoundary extends Boundary{
+	#tracker = new LiveTracker(() => [[this, this.#gravity]]);
+	#gravity = POSITION_BEFORE;
+	/** Create a new live boundary. Takes the same arguments as the
+	 * [Boundary constructor]{@link Boundary#Boundary}. If the boundary's node is set, it will
+	 * begin tracking immediately; otherwise, call {@link LiveBoundary#track|track} once set.
+	 */
+	constructor(...args){
+		super(...args);
+		if (!this.isNull())
+			this.track();
+	}
+	/** Which direction to re-anchor when the reference node is removed. One of:
+	 * - {@link BoundaryFlags.POSITION_BEFORE|POSITION_BEFORE} (default): attach to the content
+	 *   preceding the removed node; `AFTER_CLOSE` of its previous sibling, or `AFTER_OPEN` of its parent
+	 * - {@link BoundaryFlags.POSITION_AFTER|POSITION_AFTER}: attach to the content following the
+	 *   removed node; `BEFORE_OPEN` of its next sibling, or `BEFORE_CLOSE` of its parent
+	 * @type {number}
+	 */
+	get gravity(){ return this.#gravity; }
+	set gravity(gravity){ this.#gravity = live_gravity(gravity); }
+	/** Root node being tracked, or `null` if not tracking
+	 * @type {?Node}
+	 */
+	get root(){ return this.#tracker.root; }
+	/** Begin tracking removals, disconnecting any previous observer. Call this again if you
+	 * move the boundary to a different tree.
+	 * @param {Node} [root] the boundary is healed when its node is removed from this root;
+	 * 	defaults to the root node of the boundary's current node
+	 * @returns {LiveBoundary} modified `this`
+	 */
+	track(root){
+		if (!root){
+			if (this.isNull())
+				throw Error("cannot track null LiveBoundary without a root");
+			root = this.node.getRootNode();
+		}
+		this.#tracker.track(root);
+		return this;
+	}
+	/** Stop tracking removals. The boundary will no longer heal itself
+	 * @returns {LiveBoundary} modified `this`
+	 */
+	disconnect(){
+		this.#tracker.disconnect();
+		return this;
+	}
+	/** Process any mutations that are pending delivery to the observer, healing the boundary
+	 * synchronously
+	 * @returns {boolean} true if the boundary was re-anchored
+	 */
+	update(){
+		return this.#tracker.update();
+	}
+}
+
+/** A {@link BoundaryRange} whose start/end boundaries heal themselves when their reference
+ * nodes are removed. This works the same as {@link LiveBoundary}, but uses a single observer for
+ * both boundaries. By default, the start boundary re-anchors to preceding content and the end
+ * boundary to following content, so removed content collapses the range to exclusive bounds
+ * around the removed region (see {@link BoundaryRange#normalize|normalize}).
+ * 
+ * @extends BoundaryRange
+ */
+class LiveBoundaryRange extends BoundaryRange{
+	#tracker = new LiveTracker(() => [
+		[this.start, this.#start_gravity],
+		[this.end, this.#end_gravity]
+	]);
+	#start_gravity = POSITION_BEFORE;
+	#end_gravity = POSITION_AFTER;
+	/** Create a new live range. Takes the same arguments as the
+	 * [BoundaryRange constructor]{@link BoundaryRange#BoundaryRange}. If the start boundary is
+	 * set, it will begin tracking immediately; otherwise, call
+	 * {@link LiveBoundaryRange#track|track} once set.
+	 */
+	constructor(...args){
+		super(...args);
+		if (!this.start.isNull())
+			this.track();
+	}
+	/** Which direction to re-anchor the {@link BoundaryRange#start|start} boundary; defaults to
+	 * {@link BoundaryFlags.POSITION_BEFORE|POSITION_BEFORE}
+	 * @see {@link LiveBoundary#gravity}
+	 * @type {number}
+	 */
+	get startGravity(){ return this.#start_gravity; }
+	set startGravity(gravity){ this.#start_gravity = live_gravity(gravity); }
+	/** Which direction to re-anchor the {@link BoundaryRange#end|end} boundary; defaults to
+	 * {@link BoundaryFlags.POSITION_AFTER|POSITION_AFTER}
+	 * @see {@link LiveBoundary#gravity}
+	 * @type {number}
+	 */
+	get endGravity(){ return this.#end_gravity; }
+	set endGravity(gravity){ this.#end_gravity = live_gravity(gravity); }
+	/** Root node being tracked, or `null` if not tracking
+	 * @type {?Node}
+	 */
+	get root(){ return this.#tracker.root; }
+	/** Begin tracking removals, disconnecting any previous observer. This is independent of
+	 * [observe]{@link BoundaryRange#observe}, which reports mutations that touch the range.
+	 * @param {Node} [root] defaults to the root node of the start boundary's current node
+	 * @see {@link LiveBoundary#track}
+	 * @returns {LiveBoundaryRange} modified `this`
+	 */
+	track(root){
+		if (!root){
+			if (this.start.isNull())
+				throw Error("cannot track null LiveBoundaryRange without a root");
+			root = this.start.node.getRootNode();
+		}
+		this.#tracker.track(root);
+		return this;
+	}
+	/** Stop tracking removals. This does not affect [observe]{@link BoundaryRange#observe}.
+	 * @see {@link LiveBoundary#disconnect}
+	 * @returns {LiveBoundaryRange} modified `this`
+	 */
+	disconnect(){
+		this.#tracker.disconnect();
+		return this;
+	}
+	/** Process any mutations that are pending delivery to the observer
+	 * @see {@link LiveBoundary#update}
+	 * @returns {boolean} true if either boundary was re-anchored
+	 */
+	update(){
+		return this.#tracker.update();
+	}
+}
+
+/** A change captured by {@link MutationLog}. Node insertions and removals are stored with an
+ * exclusive {@link BoundaryRange} (see {@link BoundaryRange#normalize|normalize}): its start and
+ * end reference the unchanged siblings (or parent) around the mutated nodes, so the position
+ * stays valid regardless of the mutated nodes themselves.
+ * @typedef {Object} MutationLogRecord
+ * @property {string} type `"childList"`, `"characterData"`, or `"attributes"`
+ * @property {?BoundaryRange} range for `childList`, exclusive bounds around the mutated nodes
+ * @property {Node[]} [added] for `childList`, the inserted nodes
+ * @property {Node[]} [removed] for `childList`, the removed nodes
+ * @property {Node} [node] for `characterData` and `attributes`, the modified node
+ * @property {string} [name] for `attributes`, the attribute's name
+ * @property {?string} [namespace] for `attributes`, the attribute's namespace
+ * @property {?string} [oldValue] for `characterData` and `attributes`, the value before the change;
+ * 	`null` for an attribute that was added
+ * @property {?string} [value] for `characterData` and `attributes`, the value after the change;
+ * 	`null` for an attribute that was removed
+ */
+
+/** Records mutations inside a root node so they can be undone and redone. Changes are observed
+ * with a `MutationObserver` and stored as {@link MutationLogRecord|records}; node insertions and
+ * removals are positioned with exclusive {@link BoundaryRange} bounds, which are replayed using
+ * {@link BoundaryRange#deleteContents|deleteContents} and {@link Boundary#insert|insert}.
+ * 
+ * Records are grouped into undo steps. By default, each batch of records delivered to the
+ * observer is its own step, so changes made in the same task are undone together. Use
+ * {@link MutationLog#transaction|transaction} to group changes explicitly:
+ * 
+ * ```js
+ * const log = new MutationLog(editor);
+ * log.transaction(() => {
+ * 	range.deleteContents();
+ * 	range.start.insert(document.createTextNode("replacement"));
+ * });
+ * log.undo();
+ * log.redo();
+ * ```
+ * 
+ * Undo and redo assume the DOM is only modified while being observed by the log; changes made
+ * while disconnected can leave records that no longer apply.
+ */
+class MutationLog{
+	#root;
+	#observer;
+	// undo steps, each an array of records; steps past #index can be redone
+	#steps = [];
+	#index = 0;
+	// records for open transaction, and how many transactions are nested
+	#pending = null;
+	#depth = 0;
+	/** Create a new log and begin observing
+	 * @param {Node} root node whose descendants' mutations are recorded
+	 */
+	constructor(root){
+		if (!is_node(root))
+			throw TypeError("expected Node for root");
+		this.#root = root;
+		this.#observer = new (dom_for(root).MutationObserver)(records => this.#capture(records));
+		this.#observer.observe(root, {
+			childList: true,
+			characterData: true,
+			characterDataOldValue: true,
+			attributes: true,
+			attributeOldValue: true,
+			subtree: true
+		});
+	}
+	/** Root node being observed
+	 * @type {Node}
+	 */
+	get root(){ return this.#root; }
+	/** Whether there is a step to undo
+	 * @type {boolean}
+	 */
+	get canUndo(){
+		this.flush();
+		return this.#index > 0;
+	}
+	/** Whether there is a step to redo
+	 * @type {boolean}
+	 */
+	get canRedo(){
+		this.flush();
+		return this.#index < this.#steps.length;
+	}
+	/** The steps that can be undone, oldest first. Each step is an array of records, in the order
+	 * they occurred.
+	 * @type {MutationLogRecord[][]}
+	 */
+	get steps(){
+		this.flush();
+		return this.#steps.slice(0, this.#index);
+	}
+	/** Stop observing mutations. Any pending mutations are recorded first.
+	 * @returns {MutationLog} modified `this`
+	 */
+	disconnect(){
+		if (this.#observer){
+			this.flush();
+			this.#observer.disconnect();
+			this.#observer = null;
+		}
+		return this;
+	}
+	/** Remove all undo and redo steps
+	 * @returns {MutationLog} modified `this`
+	 */
+	clear(){
+		this.flush();
+		this.#steps.length = this.#index = 0;
+		return this;
+	}
+	/** Record mutations that are pending delivery to the observer, rather than waiting for the
+	 * observer's callback. Outside of a transaction, this ends the current step.
+	 * @returns {MutationLog} modified `this`
+	 */
+	flush(){
+		if (this.#observer)
+			this.#capture(this.#observer.takeRecords());
+		return this;
+	}
+	/** Begin a transaction; mutations are grouped into a single step until the matching call to
+	 * {@link MutationLog#commit|commit}. Transactions can be nested, in which case the outermost
+	 * transaction forms the step.
+	 * @returns {MutationLog} modified `this`
+	 */
+	begin(){
+		this.flush();
+		if (!this.#depth++)
+			this.#pending = [];
+		return this;
+	}
+	/** End a transaction started by {@link MutationLog#begin|begin}
+	 * @returns {MutationLog} modified `this`
+	 */
+	commit(){
+		if (!this.#depth)
+			throw Error("no MutationLog transaction to commit");
+		this.flush();
+		if (!--this.#depth){
+			const step = this.#pending;
+			this.#pending = null;
+			this.#push(step);
+		}
+		return this;
+	}
+	/** Run a function inside a transaction, so that its mutations form a single step. The
+	 * transaction is committed even if the function throws.
+	 * @param {function} fn function to run; this should make its mutations synchronously
+	 * @returns {*} the return value of `fn`
+	 */
+	transaction(fn){
+		this.begin();
+		try{
+			return fn();
+		} finally{
+			this.commit();
+		}
+	}
+	/** Undo the most recent step
+	 * @returns {boolean} false if there was nothing to undo
+	 */
+	undo(){
+		if (this.#depth)
+			throw Error("cannot undo inside a MutationLog transaction");
+		if (!this.canUndo)
+			return false;
+		const step = this.#steps[--this.#index];
+		this.#apply(() => {
+			for (let i = step.length-1; i >= 0; i--)
+				replay(step[i], false);
+		});
+		return true;
+	}
+	/** Redo the most recently undone step
+	 * @returns {boolean} false if there was nothing to redo
+	 */
+	redo(){
+		if (this.#depth)
+			throw Error("cannot redo inside a MutationLog transaction");
+		if (!this.canRedo)
+			return false;
+		const step = this.#steps[this.#index++];
+		this.#apply(() => {
+			for (const record of step)
+				replay(record, true);
+		});
+		return true;
+	}
+	/** apply our own mutations without recording them
+	 * @private
+	 */
+	#apply(fn){
+		try{
+			fn();
+		} finally{
+			this.#observer?.takeRecords();
+		}
+	}
+	/** add a step, discarding any redo steps
+	 * @private
+	 */
+	#push(step){
+		if (!step.length)
+			return;
+		this.#steps.length = this.#index;
+		this.#steps.push(step);
+		this.#index++;
+	}
+	/** convert MutationRecords to our records
+	 * @private
+	 */
+	#capture(mutations){
+		if (!mutations.length)
+			return;
+		const records = mutations.map(m => {
+			const record = {type: m.type};
+			switch (m.type){
+				case "childList":
+					record.range = new BoundaryRange(...mutation_bounds(m));
+					record.added = Array.from(m.addedNodes);
+					record.removed = Array.from(m.removedNodes);
+					break;
+				case "attributes":
+					record.name = m.attributeName;
+					record.namespace = m.attributeNamespace;
+				// fallthrough
+				case "characterData":
+					record.node = m.target;
+					record.oldValue = m.oldValue;
+					break;
+			}
+			return record;
+		});
+		// new value is the next record's old value, or the current value for the last record
+		const values = new Map();
+		for (let i = records.length-1; i >= 0; i--){
+			const r = records[i];
+			if (r.type == "childList")
+				continue;
+			let latest = values.get(r.node);
+			if (!latest)
+				values.set(r.node, latest = new Map());
+			const attr = r.type == "attributes";
+			const key = attr ? r.namespace + ":" + r.name : "";
+			if (latest.has(key))
+				r.value = latest.get(key);
+			else r.value = attr ? r.node.getAttributeNS(r.namespace, r.name) : r.node.data;
+			latest.set(key, r.oldValue);
+		}
+		if (this.#pending)
+			this.#pending.push(...records);
+		else this.#push(records);
+	}
+}
+
+/** Boundaries around the position a mutation record changed
+ * @private
+ * @param {MutationRecord} m the mutation record
+ * @returns {Boundary[]} `[start, end]` boundaries, in order
+ */
+function mutation_bounds(m){
+	switch (m.type){
+		// exclusive bounds from the unchanged siblings or parent around the mutated nodes
+		case "childList":
+			return [
+				m.previousSibling ?
+					new Boundary(m.previousSibling, AFTER_CLOSE) :
+					new Boundary(m.target, AFTER_OPEN),
+				m.nextSibling ?
+					new Boundary(m.nextSibling, BEFORE_OPEN) :
+					new Boundary(m.target, BEFORE_CLOSE)
+			];
+		case "characterData":
+			return [new Boundary(m.target, AFTER_OPEN), new Boundary(m.target, BEFORE_CLOSE)];
+		// attributes live in the open tag
+		default:
+			return [new Boundary(m.target, BEFORE_OPEN), new Boundary(m.target, AFTER_OPEN)];
+	}
+}
+
+/** Classify how a mutation touches the range between `s` and `e`, for
+ * {@link BoundaryRange#observe}
+ * @private
+ * @param {MutationRecord} m the mutation record
+ * @param {Boundary} s range start
+ * @param {Boundary} e range end, not before `s`
+ * @returns {number} `CONTAINED`, a combination of `PARTIAL_START` and `PARTIAL_END`, or zero if
+ * 	the mutation does not touch the range
+ */
+function mutation_containment(m, s, e){
+	let containment = 0;
+	// removing a boundary's node destroys that edge; the boundary can't be compared anymore
+	for (const n of m.removedNodes){
+		if (!s.isNull() && n.contains(s.node))
+			containment |= PARTIAL_START;
+		if (!e.isNull() && n.contains(e.node))
+			containment |= PARTIAL_END;
+	}
+	if (containment)
+		return containment;
+	const [a, b] = mutation_bounds(m);
+	// strictly before, so equal and adjacent boundaries are touching; null if can't compare
+	const before = (x, y) => {
+		const c = x.compare(y);
+		return c === null ? null : c < 0 && !x.isAdjacent(y);
+	};
+	const bs = before(b, s), ea = before(e, a);
+	if (bs !== false || ea !== false)
+		return 0;
+	if (before(a, s))
+		containment |= PARTIAL_START;
+	if (before(e, b))
+		containment |= PARTIAL_END;
+	return containment || CONTAINED;
+}
+
+/** Undo (forward = false) or redo a MutationLog record
+ * @private
+ */
+function replay(record, forward){
+	switch (record.type){
+		case "childList":
+			// exclusive range contains exactly the nodes to be replaced
+			record.range.cloneRange().deleteContents();
+			const nodes = forward ? record.added : record.removed;
+			if (nodes.length)
+				record.range.start.insert(...nodes);
+			break;
+		case "characterData":
+			record.node.data = forward ? record.value : record.oldValue;
+			break;
+		case "attributes":
+			const value = forward ? record.value : record.oldValue;
+			if (value === null)
+				record.node.removeAttributeNS(record.namespace, record.name);
+			else record.node.setAttributeNS(record.namespace, record.name, value);
+			break;
+	}
 }
 
 // could maybe rename it to NodeBoundaryXXX
 const Flags_readonly = Object.freeze(Flags);
-export { Flags_readonly as BoundaryFlags, Boundary, BoundaryRange };
\ No newline at end of file
+export {
+	Flags_readonly as BoundaryFlags, Boundary, BoundaryEditor, BoundaryHighlight, BoundaryIndex,
+	BoundaryRange, BoundaryRangeSet, BoundaryWalker, LiveBoundary, LiveBoundaryRange, MutationLog
+};
\ No newline at end of file
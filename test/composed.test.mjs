@@ -0,0 +1,50 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryFlags} from "../boundary.mjs";
+
+const {BEFORE_OPEN, AFTER_OPEN, BEFORE_CLOSE, AFTER_CLOSE} = BoundaryFlags;
+
+/** a host with a shadow root holding a slot */
+function shadow(){
+	const root = html("<div><span>in</span><em slot=nope>out</em></div><p>after</p>");
+	const host = root.firstChild;
+	host.attachShadow({mode: "open"}).innerHTML = "<b>s</b><slot><i>fallback</i></slot>";
+	return {root, host, span: host.children[0], em: host.children[1], after: root.lastChild};
+}
+
+const composed = (...args) => {
+	const b = new Boundary(...args);
+	b.composed = true;
+	return b;
+};
+
+test("composed traversal steps into the shadow root and through slots", () => {
+	const {host, span} = shadow();
+	const slot = host.shadowRoot.querySelector("slot");
+	const b = composed(host, AFTER_OPEN).next();
+	assert.equal(b.node, host.shadowRoot.firstChild);
+	assert.equal(b.side, BEFORE_OPEN);
+	const s = composed(span, AFTER_CLOSE).next();
+	assert.equal(s.node, slot);
+	assert.equal(s.side, BEFORE_CLOSE);
+	// the light tree is unaffected
+	assert.equal(new Boundary(span, AFTER_CLOSE).next().node, host.children[1]);
+});
+
+test("unassigned light children are not in the composed tree", () => {
+	const {em, span, after} = shadow();
+	const b = composed(em, AFTER_CLOSE);
+	assert.ok(b.clone().next().isNull());
+	assert.equal(b.compare(composed(after, BEFORE_OPEN)), null);
+	assert.equal(composed(span, AFTER_CLOSE).compare(composed(after, BEFORE_OPEN)), -1);
+});
+
+test("slot fallback content is only rendered when nothing is assigned", () => {
+	const {host, span, after} = shadow();
+	const fallback = host.shadowRoot.querySelector("i");
+	const end = composed(after, BEFORE_OPEN);
+	assert.equal(composed(fallback, BEFORE_OPEN).compare(end), null);
+	span.slot = "other";
+	assert.equal(composed(fallback, BEFORE_OPEN).compare(end), -1);
+});
@@ -0,0 +1,25 @@
+// jsdom window for the tests; the DOM interfaces boundary.mjs uses are made global, as they
+// would be in a browser
+import {JSDOM} from "jsdom";
+
+const {window} = new JSDOM("<!DOCTYPE html><html><body></body></html>");
+for (const name of [
+	"Node", "CharacterData", "Text", "Element", "Document", "DocumentFragment", "Range",
+	"StaticRange", "Selection", "NodeFilter", "MutationObserver", "DOMParser", "InputEvent"
+])
+	globalThis[name] = window[name];
+globalThis.window = window;
+globalThis.document = window.document;
+
+/** Replace the content of the body with markup
+ * @returns {HTMLBodyElement} the body
+ */
+export function html(markup){
+	document.body.innerHTML = markup;
+	return document.body;
+}
+
+/** Wait for pending MutationObserver callbacks to run */
+export function mutations(){
+	return new Promise(resolve => setTimeout(resolve));
+}
@@ -0,0 +1,79 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryEditor, BoundaryFlags} from "../boundary.mjs";
+
+const {AFTER_OPEN, POSITION_BEFORE} = BoundaryFlags;
+
+/** editor for a new contenteditable with markup */
+function editable(markup){
+	const root = html(`<div contenteditable>${markup}</div>`).firstChild;
+	return [root, new BoundaryEditor(root)];
+}
+
+const caret = (...args) => {
+	const b = new Boundary(...args);
+	return new BoundaryRange(b, b.clone());
+};
+
+test("typing, paragraphs and line breaks", () => {
+	const [root, editor] = editable("<p><br></p>");
+	let c = editor.insertText(caret(root.firstChild, AFTER_OPEN), "ab");
+	assert.equal(root.innerHTML, "<p>ab</p>");
+	c = editor.insertParagraph(new BoundaryRange(new Boundary(root.firstChild.firstChild, 1, POSITION_BEFORE), c.end));
+	assert.equal(root.innerHTML, "<p>a</p><p><br></p>");
+	c = editor.insertText(c, "c");
+	c = editor.insertLineBreak(c);
+	assert.equal(root.innerHTML, "<p>a</p><p>c<br><br></p>");
+	editor.insertText(c, "d");
+	assert.equal(root.innerHTML, "<p>a</p><p>c<br>d<br></p>");
+});
+
+test("word deletion doesn't cross a line break", () => {
+	const [root, editor] = editable("<p><br></p>");
+	const p = root.firstChild;
+	let c = editor.insertText(caret(p, AFTER_OPEN), "a");
+	c = editor.insertLineBreak(c);
+	c = editor.insertText(c, "b");
+	c = editor.deleteContent(c, "word", -1);
+	assert.equal(p.textContent, "a");
+	assert.equal(p.querySelectorAll("br").length, 2);
+	// at the start of the line, the line break itself is deleted
+	c = editor.deleteContent(c, "word", -1);
+	assert.equal(p.textContent, "a");
+	assert.equal(p.querySelectorAll("br").length, 1);
+	editor.deleteContent(c, "word", -1);
+	assert.equal(p.textContent, "");
+});
+
+test("deletion at the edge of a block joins the blocks", () => {
+	const [root, editor] = editable("<p>ab</p><p>cd</p>");
+	const c = editor.deleteContent(caret(root.lastChild.firstChild, 0, POSITION_BEFORE), "grapheme", -1);
+	assert.equal(root.innerHTML, "<p>abcd</p>");
+	assert.equal(c.start.node, root.firstChild.firstChild);
+	assert.equal(c.start.offset, 2);
+});
+
+test("the paste option can insert a string as text or a node as is", () => {
+	const root = html("<div contenteditable><p>x</p></div>").firstChild;
+	const paste = (editor, data) => {
+		caret(root.firstChild.firstChild, 1, POSITION_BEFORE).applyToSelection(document.getSelection());
+		const event = new InputEvent("beforeinput", {inputType: "insertFromPaste", cancelable: true});
+		Object.defineProperty(event, "dataTransfer", {value: {getData: type => data[type] ?? ""}});
+		assert.equal(editor.handle(event), true);
+		assert.ok(event.defaultPrevented);
+		editor.disconnect();
+	};
+	const data = {"text/plain": "<i>plain</i>", "text/html": "<b>rich</b>"};
+	paste(new BoundaryEditor(root), data);
+	assert.equal(root.innerHTML, "<p>x&lt;i&gt;plain&lt;/i&gt;</p>");
+	root.innerHTML = "<p>x</p>";
+	paste(new BoundaryEditor(root, {
+		paste: data => {
+			const html = document.createElement("template");
+			html.innerHTML = data.getData("text/html");
+			return html.content;
+		}
+	}), data);
+	assert.equal(root.innerHTML, "<p>x<b>rich</b></p>");
+});
@@ -0,0 +1,45 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {AFTER_CLOSE, POSITION_BEFORE} = BoundaryFlags;
+
+const bold = () => document.createElement("b");
+
+test("wrap() wraps each inline run, descending into blocks", () => {
+	const root = html("<p>ab<i>c</i></p><p>de</p>");
+	const r = new BoundaryRange(
+		new Boundary(root.firstChild.firstChild, 1, POSITION_BEFORE),
+		new Boundary(root.lastChild.firstChild, 1, POSITION_BEFORE)
+	);
+	r.wrap(bold);
+	assert.equal(root.innerHTML, "<p>a<b>b<i>c</i></b></p><p><b>d</b>e</p>");
+	assert.equal(r.text(), "bcd");
+});
+
+test("wrap() doesn't wrap descendants of a wrapped node", () => {
+	const p = html("<p>ab<i><u>c</u></i>d</p>").firstChild;
+	new BoundaryRange(
+		new Boundary(p.firstChild, 1, POSITION_BEFORE),
+		new Boundary(p.childNodes[1], AFTER_CLOSE)
+	).wrap(bold);
+	assert.equal(p.innerHTML, "a<b>b<i><u>c</u></i></b>d");
+	p.innerHTML = "a<i><u><s>c</s>x</u></i>d";
+	new BoundaryRange().selectNodeContents(p).wrap(bold);
+	assert.equal(p.innerHTML, "<b>a<i><u><s>c</s>x</u></i>d</b>");
+	p.innerHTML = "a<span><div>x</div></span>";
+	new BoundaryRange().selectNodeContents(p).wrap(bold);
+	assert.equal(p.innerHTML, "<b>a<span><div>x</div></span></b>");
+});
+
+test("unwrap() removes matching elements, splitting partially selected ones", () => {
+	const root = html("<p><b>ab</b>c<b>d</b></p><p><b>ef</b></p>");
+	const r = new BoundaryRange(
+		new Boundary(root.firstChild.firstChild.firstChild, 1, POSITION_BEFORE),
+		new Boundary(root.lastChild.firstChild.firstChild, 1, POSITION_BEFORE)
+	);
+	r.unwrap("b");
+	assert.equal(root.innerHTML, "<p><b>a</b>bcd</p><p>e<b>f</b></p>");
+	assert.equal(r.text(), "bcde");
+});
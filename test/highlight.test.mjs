@@ -0,0 +1,93 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html, mutations} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryRangeSet, BoundaryHighlight} from "../boundary.mjs";
+
+// jsdom has no CSS Custom Highlight API
+function view(){
+	return {
+		Highlight: class extends Set{ priority = 0; type = "highlight"; },
+		CSS: {highlights: new Map()},
+		MutationObserver
+	};
+}
+
+const contents = node => new BoundaryRange().selectNodeContents(node);
+
+test("ranges are registered and follow DOM changes", async () => {
+	const p = html("<p>one</p>").firstChild;
+	const v = view();
+	const h = new BoundaryHighlight("x", {ranges: [contents(p)], priority: 2, view: v});
+	assert.equal(v.CSS.highlights.get("x"), h.highlight);
+	assert.equal(h.priority, 2);
+	const [before] = h.highlight;
+	assert.equal(before.endOffset, 1);
+	p.append(" two");
+	await mutations();
+	const [after] = h.highlight;
+	assert.notEqual(after, before);
+	assert.equal(after.endOffset, 2);
+	h.disconnect();
+	assert.ok(!v.CSS.highlights.has("x"));
+});
+
+test("range sets are highlighted", () => {
+	const root = html("<p>one</p><p>two</p>");
+	const set = new BoundaryRangeSet();
+	set.add(contents(root.firstChild));
+	set.add(contents(root.lastChild));
+	const h = new BoundaryHighlight("x", {ranges: [set], view: view()});
+	assert.equal(h.size, 1);
+	assert.equal(h.highlight.size, 2);
+	h.disconnect();
+});
+
+test("a range in a different root is observed", async () => {
+	const root = html("<p>light</p><div></div>");
+	const shadow = root.lastChild.attachShadow({mode: "open"});
+	shadow.innerHTML = "<span>shadow text</span>";
+	const r = new BoundaryRange(
+		new Boundary(root.firstChild.firstChild, 1, 0),
+		new Boundary(shadow.firstChild.firstChild, 3, 0)
+	);
+	r.composed = true;
+	const h = new BoundaryHighlight("x", {ranges: [r], view: view()});
+	const [before] = h.highlight;
+	shadow.firstChild.firstChild.data = "SHADOW TEXT";
+	await mutations();
+	assert.notEqual([...h.highlight][0], before);
+	h.disconnect();
+});
+
+test("a range whose node was removed is skipped", async () => {
+	const root = html("<p>one</p><p>two</p>");
+	const [a, b] = root.children;
+	const h = new BoundaryHighlight("x", {ranges: [contents(a), contents(b)], view: view()});
+	assert.equal(h.highlight.size, 2);
+	a.remove();
+	await mutations();
+	assert.equal(h.highlight.size, 1);
+	assert.equal([...h.highlight][0].startContainer, b);
+	// drawn again once it is back in the document
+	root.append(a);
+	await mutations();
+	assert.equal(h.highlight.size, 2);
+	h.disconnect();
+});
+
+test("roots no longer used by any range are not observed", async () => {
+	const root = html("<p>one</p><div></div>");
+	const shadow = root.lastChild.attachShadow({mode: "open"});
+	shadow.innerHTML = "<span>two</span>";
+	const light = contents(root.firstChild), dark = contents(shadow.firstChild);
+	const h = new BoundaryHighlight("x", {ranges: [light, dark], view: view()});
+	h.delete(dark);
+	const [before] = h.highlight;
+	shadow.firstChild.append("!");
+	await mutations();
+	assert.equal([...h.highlight][0], before);
+	root.firstChild.append("!");
+	await mutations();
+	assert.notEqual([...h.highlight][0], before);
+	h.disconnect();
+});
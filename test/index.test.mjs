@@ -0,0 +1,51 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html, mutations} from "./dom.mjs";
+import {Boundary, BoundaryFlags, BoundaryIndex} from "../boundary.mjs";
+
+const {AFTER_OPEN, BEFORE_OPEN, AFTER_CLOSE, POSITION_BEFORE} = BoundaryFlags;
+
+// Boundary has no enumerable state, so compare by identity
+const order = (index, bs) => Array.from(index, b => bs.indexOf(b));
+
+test("boundaries are iterated in DOM order", () => {
+	const root = html("<p>ab<i>cd</i>ef</p><p>gh</p>");
+	const [p, q] = root.children;
+	const bs = [
+		new Boundary(q, AFTER_OPEN),
+		new Boundary(p.firstChild, 1, POSITION_BEFORE),
+		new Boundary(p.childNodes[1], AFTER_CLOSE)
+	];
+	const index = new BoundaryIndex(root, bs);
+	assert.deepEqual(order(index, bs), [1, 2, 0]);
+	assert.equal(index.after(new Boundary(p, AFTER_OPEN)), bs[1]);
+});
+
+test("boundaries outside the root are detached", async () => {
+	const root = html("<p>ab<i>cd</i>ef</p><p>gh</p>");
+	const p = root.firstChild, i = p.childNodes[1];
+	const bs = [
+		new Boundary(p.firstChild, 1, POSITION_BEFORE),
+		new Boundary(i, AFTER_CLOSE),
+		new Boundary(root.lastChild, BEFORE_OPEN)
+	];
+	const index = new BoundaryIndex(root, bs);
+	i.remove();
+	await mutations();
+	assert.ok(index.has(bs[1]));
+	assert.deepEqual(order(index, bs), [0, 2]);
+	// detached boundaries can be added, but aren't ordered or queried
+	const text = new Boundary(i.firstChild, 1, POSITION_BEFORE);
+	bs.push(text);
+	index.add(text);
+	assert.ok(index.has(text));
+	assert.equal(index.size, 4);
+	assert.deepEqual(order(index, bs), [0, 2]);
+	assert.throws(() => index.after(text), /not inside/);
+	// they are ordered again once reattached
+	p.append(i);
+	await mutations();
+	assert.deepEqual(order(index, bs), [0, 3, 1, 2]);
+	assert.ok(index.delete(bs[1]));
+	assert.ok(!index.has(bs[1]));
+});
@@ -0,0 +1,60 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html, mutations} from "./dom.mjs";
+import {BoundaryFlags, LiveBoundary, LiveBoundaryRange} from "../boundary.mjs";
+
+const {BEFORE_OPEN, AFTER_OPEN, BEFORE_CLOSE, AFTER_CLOSE, POSITION_BEFORE, POSITION_AFTER} = BoundaryFlags;
+
+test("LiveBoundary re-anchors when its node is removed", async () => {
+	const p = html("<p>a<b>b</b>c</p>").firstChild;
+	const b = new LiveBoundary(p.childNodes[1], BEFORE_OPEN);
+	assert.equal(b.root, document);
+	p.childNodes[1].remove();
+	assert.equal(b.update(), true);
+	assert.equal(b.node, p.firstChild);
+	assert.equal(b.side, AFTER_CLOSE);
+	// and from the observer, following the gravity
+	b.gravity = POSITION_AFTER;
+	b.set(p.firstChild, BEFORE_OPEN);
+	p.firstChild.remove();
+	await mutations();
+	assert.equal(b.node, p.firstChild);
+	assert.equal(b.side, BEFORE_OPEN);
+	assert.throws(() => b.gravity = BEFORE_OPEN, TypeError);
+	b.disconnect();
+	assert.equal(b.root, null);
+});
+
+test("LiveBoundaryRange heals both boundaries", () => {
+	const p = html("<p>a<b>b</b>c</p>").firstChild;
+	const r = new LiveBoundaryRange().selectNode(p.childNodes[1]).track(p);
+	assert.equal(r.root, p);
+	p.childNodes[1].remove();
+	assert.equal(r.update(), true);
+	assert.equal(r.start.node, p.firstChild);
+	assert.equal(r.start.side, AFTER_CLOSE);
+	assert.equal(r.end.node, p.lastChild);
+	assert.equal(r.end.side, BEFORE_OPEN);
+	// nothing left to attach to but the parent
+	r.startGravity = POSITION_AFTER;
+	r.endGravity = POSITION_BEFORE;
+	r.selectNodeContents(p);
+	r.start.set(p.firstChild, BEFORE_OPEN);
+	r.end.set(p.lastChild, AFTER_CLOSE);
+	p.replaceChildren();
+	r.update();
+	assert.equal(r.start.node, p);
+	assert.equal(r.start.side, BEFORE_CLOSE);
+	assert.equal(r.end.node, p);
+	assert.equal(r.end.side, AFTER_OPEN);
+	r.disconnect();
+	assert.equal(r.update(), false);
+});
+
+test("a null live boundary needs a root to track", () => {
+	assert.throws(() => new LiveBoundary().track(), /without a root/);
+	assert.throws(() => new LiveBoundaryRange().track(), /without a root/);
+	const b = new LiveBoundary().track(html(""));
+	assert.equal(b.root, document.body);
+	b.disconnect();
+});
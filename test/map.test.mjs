@@ -0,0 +1,77 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {AFTER_OPEN, POSITION_BEFORE} = BoundaryFlags;
+
+const composed = (...args) => {
+	const b = new Boundary(...args);
+	b.composed = true;
+	return b;
+};
+
+/** a host whose shadow root slots its light children */
+function host(parent){
+	const h = document.createElement("div");
+	h.innerHTML = "<span>light</span><i>x</i>";
+	h.attachShadow({mode: "open"}).innerHTML = "<b>shadow</b><slot></slot><u>end</u>";
+	parent.append(h);
+	return h;
+}
+
+test("mapTo() finds the same position in a clone", () => {
+	const root = html("<p>ab<b>cd</b></p>");
+	const copy = root.cloneNode(true);
+	const b = new Boundary(root.firstChild.lastChild.firstChild, 1, POSITION_BEFORE);
+	const m = b.mapTo(root, copy);
+	assert.equal(m.node, copy.firstChild.lastChild.firstChild);
+	assert.equal(m.offset, 1);
+	assert.ok(m.mapTo(copy, root).isEqual(b));
+	const r = new BoundaryRange().selectNodeContents(root.firstChild).mapTo(root, copy);
+	assert.equal(r.text(), "abcd");
+	copy.firstChild.lastChild.outerHTML = "<i>cd</i>";
+	assert.throws(() => b.mapTo(root, copy), /does not match/);
+	assert.equal(b.mapTo(root, copy, {verify: false}).node, copy.firstChild.lastChild.firstChild);
+});
+
+test("composed boundaries use composed paths", () => {
+	const root = html("");
+	const h = host(root);
+	const light = composed(h.firstChild.firstChild, 2, POSITION_BEFORE);
+	const json = light.toJSON(root);
+	assert.equal(json.composed, true);
+	assert.deepEqual(json.path, [0, 1, 0, 0]);
+	const back = Boundary.fromJSON(JSON.stringify(json), root);
+	assert.ok(back.isEqual(light) && back.composed);
+	const dark = composed(h.shadowRoot.lastChild.firstChild, 1, POSITION_BEFORE);
+	assert.deepEqual(dark.toJSON(root).path, [0, 2, 0]);
+	assert.ok(Boundary.fromJSON(dark.toJSON(root), root).isEqual(dark));
+	// the light tree path is unchanged
+	const flat = new Boundary(h.firstChild.firstChild, 2, POSITION_BEFORE).toJSON(root);
+	assert.deepEqual(flat.path, [0, 0, 0]);
+	assert.ok(!("composed" in flat));
+	assert.equal(Boundary.fromJSON(flat, root).composed, false);
+	const r = BoundaryRange.fromJSON(JSON.stringify(new BoundaryRange(light, dark).toJSON(h)), h);
+	assert.ok(r.start.isEqual(light) && r.end.isEqual(dark) && r.composed);
+});
+
+test("composed boundaries map across shadow roots", () => {
+	const root = html("");
+	const a = host(root), b = host(root);
+	const dark = composed(a.shadowRoot.lastChild.firstChild, 1, POSITION_BEFORE);
+	const m = dark.mapTo(a, b);
+	assert.equal(m.node, b.shadowRoot.lastChild.firstChild);
+	assert.ok(m.composed);
+	assert.equal(composed(a.firstChild.firstChild, 2, POSITION_BEFORE).mapTo(a, b).node, b.firstChild.firstChild);
+	assert.throws(() => dark.mapTo(a, document.createElement("p")), /does not match/);
+});
+
+test("nodes outside the composed tree have no path", () => {
+	const root = html("");
+	const h = host(root);
+	const slot = h.shadowRoot.querySelector("slot");
+	slot.name = "named";
+	assert.throws(() => composed(h.firstChild, AFTER_OPEN).toJSON(root));
+	assert.throws(() => composed(h.firstChild, AFTER_OPEN).mapTo(root, root.cloneNode(true)));
+});
@@ -0,0 +1,44 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {POSITION_BEFORE} = BoundaryFlags;
+
+test("toHTML() re-opens partially selected elements", () => {
+	const p = html("<p>a<b>bc</b>d<i>ef</i></p>").firstChild;
+	const r = new BoundaryRange(
+		new Boundary(p.childNodes[1].firstChild, 1, POSITION_BEFORE),
+		new Boundary(p.lastChild.firstChild, 1, POSITION_BEFORE)
+	);
+	assert.equal(r.toHTML(), "<b>c</b>d<i>e</i>");
+	assert.equal(new BoundaryRange().selectNode(p.firstChild).toHTML(), "a");
+	p.innerHTML = "<img src=x>&lt;<br>";
+	assert.equal(new BoundaryRange().selectNodeContents(p).toHTML(), '<img src="x">&lt;<br>');
+});
+
+test("toXML() declares namespaces only where they change", () => {
+	const doc = new DOMParser().parseFromString(
+		'<root><a x="1"><b/>t</a><n:c xmlns:n="urn:n" xml:lang="en"><d xmlns="urn:d"><e xmlns=""/></d></n:c></root>',
+		"application/xml"
+	);
+	const xml = new BoundaryRange().selectNodeContents(doc.documentElement).toXML();
+	assert.equal(xml,
+		'<a x="1"><b/>t</a><n:c xmlns:n="urn:n" xml:lang="en"><d xmlns="urn:d"><e xmlns=""/></d></n:c>');
+	const p = html("<p>a<b>b</b></p>").firstChild;
+	assert.equal(new BoundaryRange().selectNode(p).toXML(),
+		'<p xmlns="http://www.w3.org/1999/xhtml">a<b>b</b></p>');
+});
+
+test("a composed range re-opens ancestors in the composed tree", () => {
+	const root = html('<div id="h1"></div><div id="h2"></div>');
+	const [h1, h2] = root.children;
+	h1.attachShadow({mode: "open"}).innerHTML = "<p><b>one</b></p>";
+	h2.attachShadow({mode: "open"}).innerHTML = "<p><i>two</i></p>";
+	const r = new BoundaryRange(
+		new Boundary(h1.shadowRoot.querySelector("b").firstChild, 1, POSITION_BEFORE),
+		new Boundary(h2.shadowRoot.querySelector("i").firstChild, 2, POSITION_BEFORE)
+	);
+	r.composed = true;
+	assert.equal(r.toHTML(), '<div id="h1"><p><b>ne</b></p></div><div id="h2"><p><i>tw</i></p></div>');
+});
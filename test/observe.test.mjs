@@ -0,0 +1,52 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html, mutations} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags, LiveBoundaryRange} from "../boundary.mjs";
+
+const {BEFORE_CLOSE, CONTAINED, PARTIAL_START, POSITION_BEFORE} = BoundaryFlags;
+
+test("observe() reports mutations touching the range", async () => {
+	const root = html("<p>a</p><p>bc<i>d</i></p><p>e</p>");
+	const [a, b, e] = root.children;
+	const r = new BoundaryRange(new Boundary(b.firstChild, 1, POSITION_BEFORE), new Boundary(b, BEFORE_CLOSE));
+	const got = [];
+	r.observe((entries, range) => {
+		assert.equal(range, r);
+		got.push(...entries.map(({record, containment}) => [record.type, containment]));
+	});
+	a.append("x");
+	b.lastChild.append("y");
+	b.firstChild.data = "BC";
+	e.remove();
+	b.prepend("z");
+	await mutations();
+	assert.deepEqual(got, [
+		["childList", CONTAINED],
+		["characterData", PARTIAL_START]
+	]);
+	r.unobserve();
+	b.append("w");
+	await mutations();
+	assert.equal(got.length, 2);
+});
+
+test("a live range's observe() is independent of its tracking", async () => {
+	const p = html("<p>a<b>b</b>c</p>").firstChild;
+	const b = p.childNodes[1];
+	const r = new LiveBoundaryRange().selectNode(b).track(p);
+	const got = [];
+	r.observe(entries => got.push(...entries), {root: p});
+	assert.equal(r.root, p);
+	b.remove();
+	r.update();
+	assert.equal(r.start.node, p.firstChild);
+	assert.equal(r.end.node, p.lastChild);
+	await mutations();
+	assert.equal(got.length, 1);
+	// the range is collapsed between "a" and "c"
+	r.disconnect();
+	p.insertBefore(document.createTextNode("d"), p.lastChild);
+	await mutations();
+	assert.equal(got.length, 2);
+	r.unobserve();
+});
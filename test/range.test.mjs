@@ -0,0 +1,18 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {AFTER_OPEN, BEFORE_CLOSE} = BoundaryFlags;
+
+test("start and end can be replaced", () => {
+	const p = html("<p>ab</p>").firstChild;
+	const r = new BoundaryRange();
+	const s = new Boundary(p, AFTER_OPEN), e = new Boundary(p, BEFORE_CLOSE);
+	r.start = s;
+	r.end = e;
+	assert.equal(r.start, s);
+	assert.equal(r.end, e);
+	assert.equal(r.toRange().toString(), "ab");
+	assert.throws(() => r.start = p);
+});
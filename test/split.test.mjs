@@ -0,0 +1,42 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryFlags} from "../boundary.mjs";
+
+const {AFTER_OPEN, BEFORE_OPEN, AFTER_CLOSE, POSITION_BEFORE} = BoundaryFlags;
+
+test("split() cuts ancestors up to the root", () => {
+	const root = html('<ul><li class="x" id="a">a<b>bc</b></li></ul>');
+	const ul = root.firstChild;
+	const b = new Boundary(ul.querySelector("b").firstChild, 1, POSITION_BEFORE);
+	const [before, after] = b.split(ul);
+	assert.equal(ul.innerHTML, '<li class="x" id="a">a<b>b</b></li><li class="x"><b>c</b></li>');
+	assert.equal(before.node, ul.firstChild);
+	assert.equal(before.side, AFTER_CLOSE);
+	assert.equal(after.node, ul.lastChild);
+	assert.equal(after.side, BEFORE_OPEN);
+	assert.ok(before.isAdjacent(after));
+});
+
+test("split() at the edge of an ancestor doesn't leave an empty half", () => {
+	const p = html("<p><b>ab</b>c</p>").firstChild;
+	const [before, after] = new Boundary(p.firstChild.firstChild, 2, POSITION_BEFORE).split(p);
+	assert.equal(p.innerHTML, "<b>ab</b>c");
+	assert.equal(before.node, p.firstChild);
+	assert.equal(after.node, p.lastChild);
+	const [start] = new Boundary(p.firstChild, AFTER_OPEN).split(p);
+	assert.equal(start.node, p);
+	assert.equal(start.side, AFTER_OPEN);
+});
+
+test("split() needs a root containing the position", () => {
+	const root = html("<p>abc</p><div>x</div>");
+	const text = root.firstChild.firstChild;
+	const b = new Boundary(text, 1, POSITION_BEFORE);
+	assert.throws(() => b.split(text), TypeError);
+	assert.throws(() => b.split(null), TypeError);
+	assert.throws(() => b.split(root.lastChild), /not inside root/);
+	assert.throws(() => new Boundary(root.firstChild, BEFORE_OPEN).split(root.firstChild), /not inside root/);
+	assert.throws(() => new Boundary().split(root), /null Boundary/);
+	assert.equal(text.data, "abc");
+});
@@ -0,0 +1,51 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {BEFORE_OPEN, AFTER_OPEN, TEXT_OFFSET, BEFORE_CLOSE, AFTER_CLOSE, POSITION_BEFORE} = BoundaryFlags;
+
+test("Range anchors inside text round trip", () => {
+	const txt = html("<p>Lorem ipsum</p>").firstChild.firstChild;
+	const caret = new Boundary(txt, 5, POSITION_BEFORE);
+	assert.equal(caret.side, TEXT_OFFSET);
+	assert.equal(caret.offset, 5);
+	const anchor = caret.toAnchor();
+	assert.equal(anchor.node, txt);
+	assert.equal(anchor.offset, 5);
+	const range = new BoundaryRange(new Boundary(txt, 0, POSITION_BEFORE), caret);
+	assert.equal(range.toRange().toString(), "Lorem");
+});
+
+test("TEXT_OFFSET is rejected for nodes that aren't CharacterData", () => {
+	const p = html("<p>ab</p>").firstChild;
+	assert.throws(() => new Boundary(p, TEXT_OFFSET), TypeError);
+	assert.throws(() => new Boundary(null, TEXT_OFFSET), TypeError);
+	const b = new Boundary(p, AFTER_OPEN);
+	assert.throws(() => b.side = TEXT_OFFSET, TypeError);
+	assert.equal(b.side, AFTER_OPEN);
+	const t = new Boundary(p.firstChild, BEFORE_OPEN);
+	t.side = TEXT_OFFSET;
+	assert.equal(t.offset, 0);
+});
+
+test("next() and previous() step to the adjacent side", () => {
+	const span = html("A<span>B</span>C").childNodes[1];
+	const b = new Boundary(span, BEFORE_OPEN).next();
+	assert.equal(b.node, span);
+	assert.equal(b.side, AFTER_OPEN);
+	b.set(span, AFTER_CLOSE);
+	b.previous();
+	assert.equal(b.node, span);
+	assert.equal(b.side, BEFORE_CLOSE);
+});
+
+test("traversal from a text offset leaves the node", () => {
+	const txt = html("<p>abc</p>").firstChild.firstChild;
+	const b = new Boundary(txt, 1, POSITION_BEFORE).next();
+	assert.equal(b.node, txt);
+	assert.equal(b.side, BEFORE_CLOSE);
+	b.set(txt, 1, POSITION_BEFORE);
+	b.previous();
+	assert.equal(b.side, AFTER_OPEN);
+});
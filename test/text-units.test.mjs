@@ -0,0 +1,69 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {TEXT_OFFSET, POSITION_BEFORE} = BoundaryFlags;
+
+const at = (node, offset) => new Boundary(node, offset, POSITION_BEFORE);
+
+test("move() steps through text across inline elements", () => {
+	const p = html("<p>one <b>two</b> three</p>").firstChild;
+	const b = at(p.firstChild, 0);
+	assert.equal(b.move("word", 2), 2);
+	assert.equal(b.node, p.childNodes[1].firstChild);
+	assert.equal(b.offset, 3);
+	assert.equal(b.move("character", 2), 2);
+	assert.equal(b.node, p.lastChild);
+	assert.equal(b.offset, 2);
+	assert.equal(b.move("word", -5), -3);
+	assert.equal(b.node, p.firstChild);
+	assert.equal(b.offset, 0);
+	assert.equal(b.side, TEXT_OFFSET);
+});
+
+test("move() with blocks stays inside the block", () => {
+	const root = html("<p>foo</p><p>bar baz</p>");
+	const bar = root.lastChild.firstChild;
+	const b = at(bar, 4);
+	assert.equal(b.move("word", -3, {blocks: true}), -1);
+	assert.equal(b.node, bar);
+	assert.equal(b.offset, 0);
+	assert.equal(b.move("word", -1), -1);
+	assert.equal(b.node, root.firstChild.firstChild);
+});
+
+test("move() with blocks stops at <br>", () => {
+	const p = html("<p>foo<br>bar</p>").firstChild;
+	const bar = p.lastChild;
+	const b = at(bar, 3);
+	assert.equal(b.move("word", -1, {blocks: true}), -1);
+	assert.equal(b.node, bar);
+	assert.equal(b.offset, 0);
+	assert.equal(b.move("word", -1, {blocks: true}), 0);
+	assert.equal(b.node, bar);
+	// a position beside the <br> doesn't find text across it
+	const after = new Boundary(p.childNodes[1], BoundaryFlags.AFTER_CLOSE);
+	assert.equal(after.move("grapheme", -1, {blocks: true}), 0);
+	assert.equal(after.node, p.childNodes[1]);
+});
+
+test("expandTo() selects whole units", () => {
+	const txt = html("<p>Hello world. Bye</p>").firstChild.firstChild;
+	const r = new BoundaryRange(at(txt, 7), at(txt, 7)).expandTo("word");
+	assert.equal(r.start.offset, 6);
+	assert.equal(r.end.offset, 11);
+	r.expandTo("sentence");
+	assert.equal(r.start.offset, 0);
+	assert.equal(r.end.offset, 13);
+});
+
+test("expandTo() with blocks doesn't cross <br>", () => {
+	const p = html("<p>foo<br>bar</p>").firstChild;
+	const bar = p.lastChild;
+	const r = new BoundaryRange(at(bar, 1), at(bar, 1)).expandTo("word", {blocks: true});
+	assert.equal(r.start.node, bar);
+	assert.equal(r.start.offset, 0);
+	assert.equal(r.end.node, bar);
+	assert.equal(r.end.offset, 3);
+});
@@ -0,0 +1,46 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {BEFORE_CLOSE, POSITION_BEFORE} = BoundaryFlags;
+
+test("text() includes a text node the range starts before", () => {
+	const p = html("<p>ab<b>cd</b>ef</p>").firstChild;
+	assert.equal(new BoundaryRange().selectNode(p.firstChild).text(), "ab");
+	assert.equal(new BoundaryRange().selectNodeContents(p.firstChild).text(), "ab");
+	assert.equal(new BoundaryRange().selectNode(p.childNodes[1].firstChild).text(), "cd");
+	assert.equal(new BoundaryRange().selectNodeContents(p).text(), "abcdef");
+});
+
+test("text() separates blocks and skips nodes", () => {
+	const root = html("<p>a<br>b</p><p>c<script>x</script></p>");
+	const r = new BoundaryRange().selectNodeContents(root);
+	assert.equal(r.text(), "abcx");
+	assert.equal(r.text({blockSeparator: "\n", skip: "script"}), "a\nb\nc");
+});
+
+test("text() skips content the range starts inside of", () => {
+	const p = html("<p>ab<b>c<i>d</i>e</b>f</p>").firstChild;
+	const r = new BoundaryRange(
+		new Boundary(p.childNodes[1].firstChild, 1, POSITION_BEFORE),
+		new Boundary(p.lastChild, BEFORE_CLOSE)
+	);
+	assert.equal(r.text(), "def");
+	assert.equal(r.text({skip: "b"}), "f");
+	assert.equal(new BoundaryRange().selectNodeContents(p.childNodes[1]).text({skip: "b"}), "");
+	assert.equal(new BoundaryRange().selectNodeContents(p).text({skip: "i"}), "abcef");
+});
+
+test("find() matches across nodes", () => {
+	const p = html("<p>say @al<b>ice</b> and @bob</p>").firstChild;
+	const r = new BoundaryRange().selectNodeContents(p);
+	const matches = r.find(/@\w+/);
+	assert.deepEqual(matches.map(m => m.text()), ["@alice", "@bob"]);
+	assert.equal(matches[0].start.node, p.firstChild);
+	assert.equal(matches[0].end.node, p.childNodes[1].firstChild);
+	const b = r.boundaryAtTextOffset(7);
+	assert.equal(b.node, p.childNodes[1].firstChild);
+	assert.equal(b.offset, 0);
+	assert.equal(r.boundaryAtTextOffset(100), null);
+});
@@ -0,0 +1,74 @@
+import {test, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import {html} from "./dom.mjs";
+import {Boundary, BoundaryRange, BoundaryFlags} from "../boundary.mjs";
+
+const {BEFORE_OPEN, AFTER_OPEN, TEXT_OFFSET, BEFORE_CLOSE, AFTER_CLOSE, POSITION_BEFORE} = BoundaryFlags;
+
+const codes = x => x.validate().map(d => `${d.code}:${d.severity}`);
+
+afterEach(() => {
+	Boundary.strict = false;
+});
+
+test("validate() reports problems with a boundary", () => {
+	const p = html("<p>ab<img></p>").firstChild;
+	assert.deepEqual(codes(new Boundary(p, AFTER_OPEN)), []);
+	assert.deepEqual(codes(new Boundary()), ["null:error"]);
+	assert.deepEqual(codes(new Boundary(p.firstChild, AFTER_OPEN)), ["invalid-side:warning"]);
+	assert.deepEqual(codes(new Boundary(p.lastChild, AFTER_OPEN)), ["void-element:error"]);
+	assert.deepEqual(codes(new Boundary(p.firstChild, 5, POSITION_BEFORE)), ["offset-out-of-range:error"]);
+	const detached = document.createElement("div");
+	assert.deepEqual(codes(new Boundary(detached, BEFORE_OPEN)), ["no-parent:warning", "detached:warning"]);
+});
+
+test("validate() reports problems with a range", () => {
+	const root = html("<p>a</p><p>b</p>");
+	const r = new BoundaryRange(new Boundary(root.lastChild, AFTER_OPEN), new Boundary(root.firstChild, AFTER_OPEN));
+	assert.deepEqual(codes(r), ["reversed:warning"]);
+	r.end = new Boundary(document.createElement("p"), AFTER_OPEN);
+	assert.deepEqual(codes(r), ["detached:warning", "disconnected:error"]);
+	assert.equal(r.validate()[0].boundary, "end");
+});
+
+test("strict mode throws for invalid states", () => {
+	const p = html("<p>ab<img></p>").firstChild;
+	const b = new Boundary(p, AFTER_OPEN);
+	b.strict = true;
+	assert.throws(() => b.set(p.lastChild, AFTER_OPEN));
+	assert.throws(() => b.set(p.firstChild, 5, POSITION_BEFORE));
+	assert.ok(!new Boundary(p.lastChild, AFTER_OPEN).strict);
+	Boundary.strict = true;
+	assert.throws(() => new Boundary(p.lastChild, AFTER_OPEN));
+	const r = new BoundaryRange(new Boundary(p, BEFORE_CLOSE), new Boundary(p, AFTER_OPEN));
+	assert.throws(() => r.toRange(), /start comes after its end/);
+	// an instance setting overrides the global one
+	const loose = new Boundary();
+	loose.strict = false;
+	assert.doesNotThrow(() => loose.set(p.lastChild, AFTER_OPEN));
+	loose.strict = null;
+	assert.equal(loose.strict, true);
+	assert.equal(loose.clone().strict, true);
+});
+
+test("inside() and outside() don't produce invalid sides", () => {
+	const root = html("A<span>B C</span><br>");
+	const text = root.firstChild;
+	Boundary.strict = true;
+	const b = new Boundary(text, BEFORE_OPEN).inside();
+	assert.equal(b.side, TEXT_OFFSET);
+	assert.equal(b.offset, 0);
+	b.set(text, AFTER_CLOSE);
+	b.inside();
+	assert.equal(b.side, TEXT_OFFSET);
+	assert.equal(b.offset, 1);
+	assert.deepEqual(codes(b), []);
+	const span = new Boundary(root.childNodes[1], AFTER_CLOSE).inside();
+	assert.equal(span.side, BEFORE_CLOSE);
+	assert.equal(span.outside().side, AFTER_CLOSE);
+	// traversal into a void element is allowed, as with next()
+	const br = new Boundary(root.lastChild, BEFORE_OPEN);
+	assert.doesNotThrow(() => br.inside());
+	assert.equal(br.side, AFTER_OPEN);
+	assert.equal(br.outside().side, BEFORE_OPEN);
+});